@@ -0,0 +1,42 @@
+// Starting interest taxonomy, upserted at startup. Aliases are matched after
+// slugifying, so only list genuinely different spellings.
+export default [
+  { slug: 'music', name: 'Music', category: 'arts', aliases: ['songs', 'listening-to-music'] },
+  { slug: 'singing', name: 'Singing', category: 'arts', aliases: ['karaoke'] },
+  { slug: 'guitar', name: 'Guitar', category: 'arts', aliases: ['playing-guitar'] },
+  { slug: 'art', name: 'Art', category: 'arts', aliases: ['arts', 'painting', 'drawing'] },
+  { slug: 'photography', name: 'Photography', category: 'arts', aliases: ['photos', 'photo'] },
+  { slug: 'writing', name: 'Writing', category: 'arts', aliases: ['poetry', 'creative-writing'] },
+  { slug: 'dance', name: 'Dance', category: 'arts', aliases: ['dancing'] },
+  { slug: 'movies', name: 'Movies', category: 'entertainment', aliases: ['film', 'films', 'cinema'] },
+  { slug: 'tv-shows', name: 'TV Shows', category: 'entertainment', aliases: ['tv', 'series', 'television'] },
+  { slug: 'anime', name: 'Anime', category: 'entertainment', aliases: ['manga'] },
+  { slug: 'gaming', name: 'Gaming', category: 'entertainment', aliases: ['games', 'video-games', 'videogames', 'gamer'] },
+  { slug: 'board-games', name: 'Board Games', category: 'entertainment', aliases: ['tabletop'] },
+  { slug: 'chess', name: 'Chess', category: 'entertainment', aliases: [] },
+  { slug: 'reading', name: 'Reading', category: 'learning', aliases: ['books', 'book'] },
+  { slug: 'languages', name: 'Languages', category: 'learning', aliases: ['language-learning', 'linguistics'] },
+  { slug: 'history', name: 'History', category: 'learning', aliases: [] },
+  { slug: 'science', name: 'Science', category: 'learning', aliases: ['physics', 'chemistry', 'biology'] },
+  { slug: 'space', name: 'Space', category: 'learning', aliases: ['astronomy', 'astrophysics'] },
+  { slug: 'philosophy', name: 'Philosophy', category: 'learning', aliases: [] },
+  { slug: 'programming', name: 'Programming', category: 'technology', aliases: ['coding', 'software', 'code', 'developer'] },
+  { slug: 'technology', name: 'Technology', category: 'technology', aliases: ['tech', 'gadgets'] },
+  { slug: 'ai', name: 'AI', category: 'technology', aliases: ['artificial-intelligence', 'machine-learning'] },
+  { slug: 'crypto', name: 'Crypto', category: 'technology', aliases: ['cryptocurrency', 'bitcoin', 'blockchain'] },
+  { slug: 'football', name: 'Football', category: 'sports', aliases: ['soccer'] },
+  { slug: 'basketball', name: 'Basketball', category: 'sports', aliases: ['nba'] },
+  { slug: 'cricket', name: 'Cricket', category: 'sports', aliases: [] },
+  { slug: 'fitness', name: 'Fitness', category: 'sports', aliases: ['gym', 'workout', 'working-out', 'bodybuilding'] },
+  { slug: 'running', name: 'Running', category: 'sports', aliases: ['jogging', 'marathon'] },
+  { slug: 'yoga', name: 'Yoga', category: 'sports', aliases: ['meditation'] },
+  { slug: 'hiking', name: 'Hiking', category: 'outdoors', aliases: ['trekking', 'mountains'] },
+  { slug: 'travel', name: 'Travel', category: 'outdoors', aliases: ['traveling', 'travelling', 'backpacking'] },
+  { slug: 'camping', name: 'Camping', category: 'outdoors', aliases: [] },
+  { slug: 'cooking', name: 'Cooking', category: 'lifestyle', aliases: ['baking', 'recipes'] },
+  { slug: 'food', name: 'Food', category: 'lifestyle', aliases: ['foodie', 'eating'] },
+  { slug: 'fashion', name: 'Fashion', category: 'lifestyle', aliases: ['style', 'clothes'] },
+  { slug: 'pets', name: 'Pets', category: 'lifestyle', aliases: ['animals', 'dogs', 'cats'] },
+  { slug: 'memes', name: 'Memes', category: 'lifestyle', aliases: ['funny', 'comedy', 'humor', 'humour'] },
+  { slug: 'cars', name: 'Cars', category: 'lifestyle', aliases: ['automotive', 'motorsport', 'f1'] }
+];
@@ -0,0 +1,89 @@
+import { createRateLimiter, createLockout } from '../middleware/rateLimit.js';
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const MINUTE = 60 * 1000;
+
+// Per IP: login attempts regardless of account
+export const loginIpLimiter = createRateLimiter({
+  name: 'login-ip',
+  limit: envInt('LOGIN_IP_LIMIT', 20),
+  windowMs: envInt('LOGIN_IP_WINDOW_MINUTES', 15) * MINUTE
+});
+
+// Per account: login attempts from any IP
+export const loginAccountLimiter = createRateLimiter({
+  name: 'login-account',
+  limit: envInt('LOGIN_ACCOUNT_LIMIT', 10),
+  windowMs: envInt('LOGIN_ACCOUNT_WINDOW_MINUTES', 15) * MINUTE
+});
+
+// Per account: escalating lockout after wrong passwords
+export const loginLockout = createLockout({
+  name: 'login',
+  threshold: envInt('LOGIN_LOCKOUT_THRESHOLD', 5),
+  windowMs: envInt('LOGIN_LOCKOUT_WINDOW_MINUTES', 15) * MINUTE,
+  baseLockMs: envInt('LOGIN_LOCKOUT_BASE_MINUTES', 1) * MINUTE,
+  maxLockMs: envInt('LOGIN_LOCKOUT_MAX_MINUTES', 60) * MINUTE
+});
+
+export const registerIpLimiter = createRateLimiter({
+  name: 'register-ip',
+  limit: envInt('REGISTER_IP_LIMIT', 5),
+  windowMs: envInt('REGISTER_IP_WINDOW_MINUTES', 60) * MINUTE
+});
+
+export const passwordResetIpLimiter = createRateLimiter({
+  name: 'password-reset-ip',
+  limit: envInt('PASSWORD_RESET_IP_LIMIT', 5),
+  windowMs: envInt('PASSWORD_RESET_IP_WINDOW_MINUTES', 60) * MINUTE
+});
+
+// Per user: verification emails sent on request
+export const resendVerificationLimiter = createRateLimiter({
+  name: 'resend-verification',
+  limit: envInt('RESEND_VERIFICATION_LIMIT', 3),
+  windowMs: envInt('RESEND_VERIFICATION_WINDOW_MINUTES', 60) * MINUTE
+});
+
+// Per user: email change requests, each of which mails the new address
+export const emailChangeLimiter = createRateLimiter({
+  name: 'email-change',
+  limit: envInt('EMAIL_CHANGE_LIMIT', 3),
+  windowMs: envInt('EMAIL_CHANGE_WINDOW_MINUTES', 24 * 60) * MINUTE
+});
+
+// Per user: avatar uploads, which are resized on the server
+export const avatarUploadLimiter = createRateLimiter({
+  name: 'avatar-upload',
+  limit: envInt('AVATAR_UPLOAD_LIMIT', 10),
+  windowMs: envInt('AVATAR_UPLOAD_WINDOW_MINUTES', 60) * MINUTE
+});
+
+// Per user: personal data exports are expensive to build
+export const exportLimiter = createRateLimiter({
+  name: 'data-export',
+  limit: envInt('EXPORT_DAILY_LIMIT', 3),
+  windowMs: 24 * 60 * MINUTE
+});
+
+// Socket events, keyed by user
+export const matchRequestLimiter = createRateLimiter({
+  name: 'socket-match-request',
+  limit: envInt('MATCH_REQUEST_LIMIT', 20),
+  windowMs: MINUTE
+});
+
+// Per user: one budget for reports sent over the socket and the REST API
+export const reportLimiter = createRateLimiter({
+  name: 'report',
+  limit: envInt('REPORT_LIMIT', 10),
+  windowMs: 60 * MINUTE
+});
+
+// Matches per day for users who have not verified their email yet
+export const unverifiedMatchLimiter = createRateLimiter({
+  name: 'socket-unverified-match',
+  limit: envInt('UNVERIFIED_DAILY_MATCH_LIMIT', 5),
+  windowMs: 24 * 60 * MINUTE
+});
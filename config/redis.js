@@ -0,0 +1,23 @@
+import Redis from 'ioredis';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Redis is only needed when running more than one instance. Returns the
+// clients for the Socket.IO adapter (which needs a dedicated subscriber
+// connection), or null when REDIS_URL is not set.
+const connectRedis = () => {
+  if (!process.env.REDIS_URL) return null;
+
+  const pubClient = new Redis(process.env.REDIS_URL);
+  const subClient = pubClient.duplicate();
+
+  [pubClient, subClient].forEach(client => {
+    client.on('error', error => console.error('Redis error:', error.message));
+  });
+  pubClient.once('ready', () => console.log('Redis connected'));
+
+  return { pubClient, subClient };
+};
+
+export default connectRedis;
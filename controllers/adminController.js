@@ -0,0 +1,407 @@
+import User from '../models/User.js';
+import ChatRoom from '../models/ChatRoom.js';
+import Report from '../models/Report.js';
+import AuditLog from '../models/AuditLog.js';
+import { userRoom, disconnectUser } from '../services/sockets.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { sendValidationErrors } from '../utils/validation.js';
+
+const getPagination = (query) => {
+  const limit = Math.min(parseInt(query.limit, 10) || 20, 100);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+};
+
+const adminUserData = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  interests: user.interests,
+  location: user.location,
+  avatar: user.avatar,
+  isOnline: user.isOnline,
+  lastSeen: user.lastSeen,
+  reportCount: user.reportCount,
+  isBanned: user.isBanned,
+  bannedUntil: user.bannedUntil,
+  banReason: user.banReason,
+  createdAt: user.createdAt
+});
+
+export const searchUsers = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { q, banned, role } = req.query;
+    const { limit, page, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (banned !== undefined) filter.isBanned = banned === 'true';
+    if (role) filter.role = role;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .sort({ reportCount: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    await AuditLog.record(req, 'users.search', { details: { q, banned, role, page } });
+
+    res.json({
+      success: true,
+      users: users.map(adminUserData),
+      pagination: { page, limit, total }
+    });
+
+  } catch (error) {
+    console.error('Admin search users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching users'
+    });
+  }
+};
+
+export const getUser = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.params.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [reportsReceived, reportsFiled, chatCount] = await Promise.all([
+      Report.countDocuments({ reportedUser: user._id }),
+      Report.countDocuments({ reporter: user._id }),
+      ChatRoom.countDocuments({ participants: user._id })
+    ]);
+
+    await AuditLog.record(req, 'users.view', { targetUser: user._id });
+
+    res.json({
+      success: true,
+      user: {
+        ...adminUserData(user),
+        reportsReceived,
+        reportsFiled,
+        chatCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching user'
+    });
+  }
+};
+
+export const getUserReports = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { userId } = req.params;
+    const { limit, page, skip } = getPagination(req.query);
+    // `filed` lists the reports this user made instead of received
+    const filter = req.query.direction === 'filed'
+      ? { reporter: userId }
+      : { reportedUser: userId };
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .populate('reporter', 'username')
+        .populate('reportedUser', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Report.countDocuments(filter)
+    ]);
+
+    await AuditLog.record(req, 'users.reports.view', { targetUser: userId });
+
+    res.json({
+      success: true,
+      reports,
+      pagination: { page, limit, total }
+    });
+
+  } catch (error) {
+    console.error('Admin get reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching reports'
+    });
+  }
+};
+
+export const getUserChats = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { userId } = req.params;
+    const { limit, page, skip } = getPagination(req.query);
+    const filter = { participants: userId };
+
+    const [rooms, total] = await Promise.all([
+      ChatRoom.find(filter)
+        .select('-messages')
+        .populate('participants', 'username')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ChatRoom.countDocuments(filter)
+    ]);
+
+    await AuditLog.record(req, 'users.chats.view', { targetUser: userId });
+
+    res.json({
+      success: true,
+      chats: rooms,
+      pagination: { page, limit, total }
+    });
+
+  } catch (error) {
+    console.error('Admin get chats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching chats'
+    });
+  }
+};
+
+export const getChatTranscript = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const room = await ChatRoom.findById(req.params.roomId)
+      .populate('participants', 'username')
+      .populate('messages.sender', 'username');
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found'
+      });
+    }
+
+    await AuditLog.record(req, 'chats.transcript.view', { targetRoom: room._id });
+
+    res.json({
+      success: true,
+      chat: room
+    });
+
+  } catch (error) {
+    console.error('Admin get transcript error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching transcript'
+    });
+  }
+};
+
+export const banUser = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { reason, expiresAt } = req.body;
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot ban yourself'
+      });
+    }
+
+    user.isBanned = true;
+    user.bannedUntil = expiresAt ? new Date(expiresAt) : null;
+    user.banReason = reason;
+    await user.save();
+
+    disconnectUser(req.app.get('io'), user._id, 'account:banned', {
+      bannedUntil: user.bannedUntil,
+      reason: user.banReason
+    });
+
+    await AuditLog.record(req, 'users.ban', {
+      targetUser: user._id,
+      details: { reason, expiresAt: user.bannedUntil }
+    });
+
+    res.json({
+      success: true,
+      message: 'User banned',
+      user: adminUserData(user)
+    });
+
+  } catch (error) {
+    console.error('Admin ban user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error banning user'
+    });
+  }
+};
+
+export const unbanUser = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.isBanned = false;
+    user.bannedUntil = null;
+    user.banReason = null;
+    // Start over so the automatic thresholds apply afresh
+    if (req.body.resetReports) user.reportCount = 0;
+    await user.save();
+
+    await AuditLog.record(req, 'users.unban', {
+      targetUser: user._id,
+      details: { reason: req.body.reason, resetReports: Boolean(req.body.resetReports) }
+    });
+
+    res.json({
+      success: true,
+      message: 'User unbanned',
+      user: adminUserData(user)
+    });
+
+  } catch (error) {
+    console.error('Admin unban user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unbanning user'
+    });
+  }
+};
+
+export const forceDisconnect = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { userId } = req.params;
+    const io = req.app.get('io');
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+
+    disconnectUser(io, userId, 'account:disconnected', { reason: req.body.reason });
+
+    await AuditLog.record(req, 'users.disconnect', {
+      targetUser: userId,
+      details: { reason: req.body.reason, sockets: sockets.length }
+    });
+
+    res.json({
+      success: true,
+      message: `Disconnected ${sockets.length} socket(s)`,
+      disconnected: sockets.length
+    });
+
+  } catch (error) {
+    console.error('Admin force disconnect error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disconnecting user'
+    });
+  }
+};
+
+export const setRole = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { role } = req.body;
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await AuditLog.record(req, 'users.role', {
+      targetUser: user._id,
+      details: { from: previousRole, to: role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      user: adminUserData(user)
+    });
+
+  } catch (error) {
+    console.error('Admin set role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating role'
+    });
+  }
+};
+
+export const getAuditLog = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { actor, targetUser, action } = req.query;
+    const { limit, page, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (targetUser) filter.targetUser = targetUser;
+    if (action) filter.action = action;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'username')
+        .populate('targetUser', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: { page, limit, total }
+    });
+
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching audit log'
+    });
+  }
+};
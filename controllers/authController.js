@@ -1,6 +1,62 @@
 import { validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { generateToken } from '../middleware/auth.js';
+import UserToken from '../models/UserToken.js';
+import {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllSessions
+} from '../services/tokens.js';
+import { disconnectSession, disconnectUser } from '../services/sockets.js';
+import {
+  sendVerificationEmail,
+  sendEmailChangeEmail,
+  sendPasswordResetEmail
+} from '../services/mailer.js';
+import { deleteAccount as removeAccount } from '../services/accounts.js';
+import { storeAvatar, removeAvatarFiles } from '../services/avatars.js';
+import { resolveInterests, updateInterestPopularity } from '../services/interests.js';
+import { coordinatesOf } from '../services/geo.js';
+import { sendTooManyRequests } from '../middleware/rateLimit.js';
+import { loginAccountLimiter, loginLockout } from '../config/rateLimits.js';
+
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000;
+const RESET_TOKEN_TTL = 60 * 60 * 1000;
+
+// Mail problems must not fail the request that triggered the email
+const sendVerification = async (user) => {
+  try {
+    const token = await UserToken.issue(user._id, 'email-verification', VERIFICATION_TOKEN_TTL);
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
+// Check the password of an already authenticated user. Failures count
+// towards the login lockout so these endpoints cannot be used to guess it.
+// Sends the error response and resolves to false when the check fails.
+const confirmPassword = async (user, password, res) => {
+  const lock = await loginLockout.check(user.email);
+  if (lock.locked) {
+    sendTooManyRequests(res, lock.retryAfter,
+      'Too many failed password attempts. Please try again later.');
+    return false;
+  }
+
+  if (!await user.comparePassword(password)) {
+    await loginLockout.recordFailure(user.email);
+    res.status(400).json({
+      success: false,
+      message: 'Current password is incorrect'
+    });
+    return false;
+  }
+
+  await loginLockout.recordSuccess(user.email);
+  return true;
+};
 
 export const register = async (req, res) => {
   try {
@@ -13,7 +69,17 @@ export const register = async (req, res) => {
       });
     }
 
-    const { username, email, password, interests, location } = req.body;
+    const {
+      username,
+      email,
+      password,
+      interests,
+      location,
+      dateOfBirth,
+      gender,
+      languages,
+      bio
+    } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -34,14 +100,20 @@ export const register = async (req, res) => {
       username,
       email,
       password,
-      interests: interests || [],
-      location
+      interests: await resolveInterests(interests),
+      location,
+      dateOfBirth,
+      gender,
+      languages: languages || [],
+      bio
     });
 
     await user.save();
+    await updateInterestPopularity([], user.interests);
+    await sendVerification(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueSession(user, req);
 
     // Return user data without password
     const userData = {
@@ -50,14 +122,20 @@ export const register = async (req, res) => {
       email: user.email,
       interests: user.interests,
       location: user.location,
+      age: user.age,
+      gender: user.gender,
+      languages: user.languages,
+      bio: user.bio,
       avatar: user.avatar,
-      isOnline: user.isOnline
+      isOnline: user.isOnline,
+      isEmailVerified: user.isEmailVerified
     };
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: userData
     });
 
@@ -83,38 +161,61 @@ export const login = async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Brute-force protection is keyed by the email so it applies whether or
+    // not the account exists
+    const lock = await loginLockout.check(email);
+    if (lock.locked) {
+      return sendTooManyRequests(res, lock.retryAfter,
+        'Too many failed login attempts. Account temporarily locked.');
+    }
+
+    const attempt = await loginAccountLimiter.consume(email);
+    if (!attempt.allowed) {
+      return sendTooManyRequests(res, attempt.retryAfter,
+        'Too many login attempts for this account, please try again later.');
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await loginLockout.recordFailure(email);
       return res.status(400).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check if user is banned
-    if (user.isBanned) {
+    // Check if user is banned (temporary bans lift themselves here)
+    if (await user.refreshBanStatus()) {
       return res.status(403).json({
         success: false,
-        message: 'Account has been banned'
+        message: 'Account has been banned',
+        ...(user.bannedUntil && { bannedUntil: user.bannedUntil })
       });
     }
 
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const failure = await loginLockout.recordFailure(email);
+      if (failure.locked) {
+        return sendTooManyRequests(res, failure.retryAfter,
+          'Too many failed login attempts. Account temporarily locked.');
+      }
+
       return res.status(400).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update user online status
-    user.isOnline = true;
+    await loginLockout.recordSuccess(email);
+
+    // Online status follows the user's sockets (see services/presence.js)
     await user.updateLastSeen();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueSession(user, req);
 
     // Return user data without password
     const userData = {
@@ -123,14 +224,20 @@ export const login = async (req, res) => {
       email: user.email,
       interests: user.interests,
       location: user.location,
+      age: user.age,
+      gender: user.gender,
+      languages: user.languages,
+      bio: user.bio,
       avatar: user.avatar,
-      isOnline: user.isOnline
+      isOnline: user.isOnline,
+      isEmailVerified: user.isEmailVerified
     };
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: userData
     });
 
@@ -146,9 +253,16 @@ export const login = async (req, res) => {
 export const logout = async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
-    if (user) {
-      user.isOnline = false;
-      await user.updateLastSeen();
+    // Sockets of other sessions keep the user online
+    if (user) await user.updateLastSeen();
+
+    // Kill this session: its refresh tokens, the access token used for this
+    // request, and any sockets opened with it
+    const { jti, sessionId, exp } = req.auth;
+    await revokeAccessToken({ jti, exp, userId: req.user._id });
+    if (sessionId) {
+      await revokeSession(sessionId);
+      await disconnectSession(req.app.get('io'), req.user.id, sessionId, 'auth:logged-out');
     }
 
     res.json({
@@ -165,6 +279,62 @@ export const logout = async (req, res) => {
   }
 };
 
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    await User.findByIdAndUpdate(req.user._id, { lastSeen: new Date() });
+
+    // Dropping every socket takes the user offline
+    disconnectUser(req.app.get('io'), req.user.id, 'auth:logged-out');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+export const refresh = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!result.token) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing token'
+    });
+  }
+};
+
 export const getProfile = async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
@@ -177,9 +347,19 @@ export const getProfile = async (req, res) => {
         email: user.email,
         interests: user.interests,
         location: user.location,
+        dateOfBirth: user.dateOfBirth,
+        age: user.age,
+        gender: user.gender,
+        languages: user.languages,
+        bio: user.bio,
+        coordinates: coordinatesOf(user),
+        preferences: user.preferences,
         avatar: user.avatar,
+        avatarUrls: user.avatarUrls,
         isOnline: user.isOnline,
-        lastSeen: user.lastSeen
+        lastSeen: user.lastSeen,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
       }
     });
 
@@ -203,7 +383,17 @@ export const updateProfile = async (req, res) => {
       });
     }
 
-    const { username, interests, location, preferences } = req.body;
+    const {
+      username,
+      interests,
+      location,
+      preferences,
+      dateOfBirth,
+      gender,
+      languages,
+      bio,
+      coordinates
+    } = req.body;
     const user = await User.findById(req.user.id);
 
     // Check if username is taken by another user
@@ -218,12 +408,42 @@ export const updateProfile = async (req, res) => {
     }
 
     // Update user fields
+    const previousInterests = [...user.interests];
     if (username) user.username = username;
-    if (interests) user.interests = interests;
+    if (interests) user.interests = await resolveInterests(interests);
     if (location) user.location = location;
-    if (preferences) user.preferences = { ...user.preferences, ...preferences };
+    if (dateOfBirth) user.dateOfBirth = dateOfBirth;
+    if (gender) user.gender = gender;
+    if (languages) user.languages = languages;
+    if (bio !== undefined) user.bio = bio;
+    if (preferences?.gender) user.preferences.gender = preferences.gender;
+    if (preferences?.ageRange) {
+      const { min, max } = preferences.ageRange;
+      if (min !== undefined) user.preferences.ageRange.min = min;
+      if (max !== undefined) user.preferences.ageRange.max = max;
+    }
+    if (preferences?.maxDistanceKm !== undefined) {
+      user.preferences.maxDistanceKm = preferences.maxDistanceKm;
+    }
+    // null clears the stored position
+    if (coordinates === null) {
+      user.geoLocation = undefined;
+    } else if (coordinates) {
+      user.geoLocation = {
+        type: 'Point',
+        coordinates: [coordinates.longitude, coordinates.latitude]
+      };
+    }
+
+    if (user.preferences.ageRange.min > user.preferences.ageRange.max) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum preferred age cannot exceed the maximum'
+      });
+    }
 
     await user.save();
+    if (interests) await updateInterestPopularity(previousInterests, user.interests);
 
     const userData = {
       id: user._id,
@@ -231,8 +451,14 @@ export const updateProfile = async (req, res) => {
       email: user.email,
       interests: user.interests,
       location: user.location,
+      age: user.age,
+      gender: user.gender,
+      languages: user.languages,
+      bio: user.bio,
+      coordinates: coordinatesOf(user),
       avatar: user.avatar,
       isOnline: user.isOnline,
+      isEmailVerified: user.isEmailVerified,
       preferences: user.preferences
     };
 
@@ -249,4 +475,374 @@ export const updateProfile = async (req, res) => {
       message: 'Server error updating profile'
     });
   }
-};
\ No newline at end of file
+};
+
+export const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = await UserToken.consume(req.body.token, 'email-verification');
+    const user = userId && await User.findById(userId);
+    if (user) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      return res.json({
+        success: true,
+        message: 'Email verified successfully'
+      });
+    }
+
+    // Not a signup link; maybe it confirms a change of address
+    const changingUserId = await UserToken.consume(req.body.token, 'email-change');
+    const changingUser = changingUserId && await User.findById(changingUserId);
+    if (!changingUser || !changingUser.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (await User.exists({ email: changingUser.pendingEmail })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already registered'
+      });
+    }
+
+    changingUser.email = changingUser.pendingEmail;
+    changingUser.pendingEmail = null;
+    changingUser.isEmailVerified = true;
+    changingUser.emailVerifiedAt = new Date();
+    await changingUser.save();
+
+    res.json({
+      success: true,
+      message: 'Email address updated successfully',
+      email: changingUser.email
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+};
+
+export const resendVerification = async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerification(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+};
+
+export const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      try {
+        const token = await UserToken.issue(user._id, 'password-reset', RESET_TOKEN_TTL);
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe emails
+    res.json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = await UserToken.consume(req.body.token, 'password-reset');
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    user.password = req.body.password;
+    // Receiving the link proves control of the mailbox
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(user._id);
+    await loginLockout.recordSuccess(user.email);
+    disconnectUser(req.app.get('io'), user._id, 'auth:logged-out');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+};
+
+export const changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!await confirmPassword(user, currentPassword, res)) return;
+
+    user.password = newPassword;
+    await user.save();
+
+    // Log out every other device, then start a fresh session for this one
+    await revokeAllSessions(user._id);
+    disconnectUser(req.app.get('io'), user._id, 'auth:logged-out');
+    const { token, refreshToken } = await issueSession(await User.findById(user._id), req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing password'
+    });
+  }
+};
+
+export const changeEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!await confirmPassword(user, password, res)) return;
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'That is already your email'
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already registered'
+      });
+    }
+
+    // The address only changes once the link sent to it is opened
+    user.pendingEmail = email;
+    await user.save();
+
+    // Mail problems must not fail the change; the user can ask again
+    try {
+      const token = await UserToken.issue(user._id, 'email-change', VERIFICATION_TOKEN_TTL);
+      await sendEmailChangeEmail(user, email, token);
+    } catch (error) {
+      console.error('Email change email error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Check your new email address to confirm the change',
+      pendingEmail: email
+    });
+
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing email'
+    });
+  }
+};
+
+export const deleteAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!await confirmPassword(user, req.body.password, res)) return;
+
+    disconnectUser(req.app.get('io'), user._id, 'account:deleted');
+    await removeAccount(user._id);
+
+    res.json({
+      success: true,
+      message: 'Account deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting account'
+    });
+  }
+};
+
+export const uploadAvatar = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An avatar image is required'
+      });
+    }
+
+    const stored = await storeAvatar(req.user.id, req.file.buffer);
+    if (stored.error) {
+      return res.status(400).json({
+        success: false,
+        message: stored.error
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+avatarKeys');
+    const previousKeys = user.avatarKeys || [];
+
+    user.avatar = stored.urls.medium;
+    user.avatarUrls = stored.urls;
+    user.avatarKeys = stored.keys;
+    await user.save();
+
+    // The old files are only removed once the new avatar is saved
+    removeAvatarFiles(previousKeys)
+      .catch(error => console.error('Old avatar cleanup error:', error));
+
+    res.json({
+      success: true,
+      message: 'Avatar updated successfully',
+      avatar: user.avatar,
+      avatarUrls: user.avatarUrls
+    });
+
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading avatar'
+    });
+  }
+};
+
+export const deleteAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+avatarKeys');
+    const previousKeys = user.avatarKeys || [];
+
+    user.avatar = null;
+    user.avatarUrls = { small: null, medium: null, large: null };
+    user.avatarKeys = [];
+    await user.save();
+
+    await removeAvatarFiles(previousKeys);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed'
+    });
+
+  } catch (error) {
+    console.error('Delete avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing avatar'
+    });
+  }
+};
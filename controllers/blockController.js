@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { blockUser, unblockUser } from '../services/blocks.js';
+
+export const getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'username avatar');
+
+    res.json({
+      success: true,
+      blockedUsers: user.blockedUsers.map(blocked => ({
+        id: blocked._id,
+        username: blocked.username,
+        avatar: blocked.avatar
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching blocked users'
+    });
+  }
+};
+
+export const block = async (req, res) => {
+  try {
+    const result = await blockUser(req.user._id, req.body.userId);
+
+    if (!result.blocked) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await req.app.get('matchmaker')?.block(req.user._id.toString(), req.body.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'User blocked'
+    });
+
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error blocking user'
+    });
+  }
+};
+
+export const unblock = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    await unblockUser(req.user._id, userId);
+    await req.app.get('matchmaker')?.unblock(req.user._id.toString(), userId);
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unblocking user'
+    });
+  }
+};
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import DataExport from '../models/DataExport.js';
+import { requestExport, openExportFile } from '../services/dataExport.js';
+
+// The caller's own export, or null after a 4xx response has been sent
+const findOwnExport = async (req, res) => {
+  const { exportId } = req.params;
+  if (!mongoose.isValidObjectId(exportId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid export id'
+    });
+    return null;
+  }
+
+  const job = await DataExport.findOne({ _id: exportId, user: req.user._id });
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Export not found'
+    });
+    return null;
+  }
+
+  return job;
+};
+
+export const createExport = async (req, res) => {
+  try {
+    const job = await requestExport(req.user._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared',
+      export: job.toPayload()
+    });
+
+  } catch (error) {
+    console.error('Create export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting data export'
+    });
+  }
+};
+
+export const listExports = async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      exports: exports.map(job => job.toPayload())
+    });
+
+  } catch (error) {
+    console.error('List exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching data exports'
+    });
+  }
+};
+
+export const getExport = async (req, res) => {
+  try {
+    const job = await findOwnExport(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      export: job.toPayload()
+    });
+
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching data export'
+    });
+  }
+};
+
+export const downloadExport = async (req, res) => {
+  try {
+    const job = await findOwnExport(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Export is not ready yet',
+        status: job.status
+      });
+    }
+
+    const format = req.query.format === 'json' ? 'json' : 'zip';
+    const file = await openExportFile(job, format);
+    if (!file) {
+      return res.status(410).json({
+        success: false,
+        message: 'Export file is no longer available'
+      });
+    }
+
+    res.attachment(`monkeychat-data.${format}`);
+    file.once('error', (error) => {
+      console.error('Download export error:', error);
+      res.destroy(error);
+    });
+    file.pipe(res);
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading data export'
+    });
+  }
+};
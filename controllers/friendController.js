@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import Friendship from '../models/Friendship.js';
+import DirectMessage from '../models/DirectMessage.js';
+
+export const getFriends = async (req, res) => {
+  try {
+    const friendships = await Friendship.find({ users: req.user._id })
+      .populate('users', 'username avatar interests isOnline lastSeen')
+      .sort({ lastMessageAt: -1, createdAt: -1 });
+
+    const friends = friendships
+      .map(friendship => {
+        const friend = friendship.users.find(
+          user => user && !user._id.equals(req.user._id)
+        );
+
+        // The other account may have been deleted
+        if (!friend) return null;
+
+        return {
+          id: friend._id,
+          friendshipId: friendship._id,
+          username: friend.username,
+          avatar: friend.avatar,
+          interests: friend.interests,
+          isOnline: friend.isOnline,
+          lastSeen: friend.lastSeen,
+          friendsSince: friendship.createdAt,
+          lastMessageAt: friendship.lastMessageAt
+        };
+      })
+      .filter(Boolean);
+
+    res.json({
+      success: true,
+      friends
+    });
+
+  } catch (error) {
+    console.error('Get friends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching friends'
+    });
+  }
+};
+
+export const getConversation = async (req, res) => {
+  try {
+    const { friendId } = req.params;
+    if (!mongoose.isValidObjectId(friendId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid friend id'
+      });
+    }
+
+    const friendship = await Friendship.findBetween(req.user._id, friendId);
+    if (!friendship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Friend not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const query = { friendship: friendship._id };
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (!isNaN(before)) query.createdAt = { $lt: before };
+    }
+
+    const messages = await DirectMessage.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      friendshipId: friendship._id,
+      // Oldest first, as a chat view renders them
+      messages: messages.reverse().map(message => message.toPayload())
+    });
+
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching conversation'
+    });
+  }
+};
+
+export const removeFriend = async (req, res) => {
+  try {
+    const { friendId } = req.params;
+    if (!mongoose.isValidObjectId(friendId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid friend id'
+      });
+    }
+
+    const friendship = await Friendship.findBetween(req.user._id, friendId);
+    if (!friendship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Friend not found'
+      });
+    }
+
+    await DirectMessage.deleteMany({ friendship: friendship._id });
+    await friendship.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Friend removed'
+    });
+
+  } catch (error) {
+    console.error('Remove friend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing friend'
+    });
+  }
+};
@@ -0,0 +1,57 @@
+import { validationResult } from 'express-validator';
+import { submitReport } from '../services/reports.js';
+import { disconnectUser } from '../services/sockets.js';
+
+export const createReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reportedUserId, roomId, reason, details, messageExcerpt } = req.body;
+
+    const result = await submitReport({
+      reporterId: req.user._id,
+      reportedUserId,
+      roomId,
+      reason,
+      details,
+      messageExcerpt
+    });
+
+    if (!result.report) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    if (result.ban) {
+      disconnectUser(req.app.get('io'), reportedUserId, 'account:banned', result.ban);
+    }
+
+    res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      message: result.duplicate
+        ? 'You have already reported this user'
+        : 'Report submitted',
+      report: {
+        id: result.report._id,
+        reason: result.report.reason,
+        createdAt: result.report.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting report'
+    });
+  }
+};
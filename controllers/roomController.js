@@ -0,0 +1,273 @@
+import mongoose from 'mongoose';
+import ChatRoom from '../models/ChatRoom.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { findInterestSlug, toSlug } from '../services/interests.js';
+import {
+  DEFAULT_CAPACITY,
+  MAX_ROOMS_PER_OWNER,
+  findTopicRoom,
+  roleOf,
+  listMembers,
+  clearTopicRoom,
+  toTopicRoomPayload,
+  getTopicMessages
+} from '../services/topicRooms.js';
+import { sendValidationErrors } from '../utils/validation.js';
+
+const sendRoomNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Room not found'
+});
+
+// Rooms about the user's own interests unless `interest` or `all` says
+// otherwise; the busiest first
+export const listRooms = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { interest, all } = req.query;
+    const filter = { kind: 'topic', isActive: true };
+    if (interest) {
+      filter.interest = await findInterestSlug(interest) || toSlug(interest);
+    } else if (!all && req.user.interests.length > 0) {
+      filter.interest = { $in: req.user.interests };
+    }
+
+    const rooms = await ChatRoom.find(filter)
+      .select('-messages')
+      .populate('owner', 'username')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    const payloads = await Promise.all(rooms.map(toTopicRoomPayload));
+    payloads.sort((a, b) => b.memberCount - a.memberCount);
+
+    res.json({
+      success: true,
+      rooms: payloads
+    });
+
+  } catch (error) {
+    console.error('List rooms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rooms'
+    });
+  }
+};
+
+export const createRoom = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, description, capacity } = req.body;
+    const interest = await findInterestSlug(req.body.interest);
+
+    // Rooms are about something the owner has declared an interest in
+    if (!interest || !req.user.interests.includes(interest)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add this interest to your profile before creating a room about it'
+      });
+    }
+
+    const owned = await ChatRoom.countDocuments({
+      kind: 'topic',
+      isActive: true,
+      owner: req.user._id
+    });
+    if (owned >= MAX_ROOMS_PER_OWNER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can own at most ${MAX_ROOMS_PER_OWNER} open rooms`
+      });
+    }
+
+    const room = await ChatRoom.create({
+      kind: 'topic',
+      name,
+      interest,
+      description,
+      capacity: capacity || DEFAULT_CAPACITY,
+      owner: req.user._id,
+      participants: [req.user._id]
+    });
+    await room.populate('owner', 'username');
+
+    res.status(201).json({
+      success: true,
+      message: 'Room created',
+      room: await toTopicRoomPayload(room)
+    });
+
+  } catch (error) {
+    console.error('Create room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating room'
+    });
+  }
+};
+
+export const getRoom = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const room = await findTopicRoom(req.params.roomId);
+    if (!room) return sendRoomNotFound(res);
+
+    const role = roleOf(room, req.user._id);
+    const [members, moderators] = await Promise.all([
+      listMembers(room),
+      User.find({ _id: { $in: room.moderators } }).select('username')
+    ]);
+    await room.populate('owner', 'username');
+
+    res.json({
+      success: true,
+      room: {
+        ...await toTopicRoomPayload(room),
+        moderators: moderators.map(user => ({ id: user._id, username: user.username })),
+        members,
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Get room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching room'
+    });
+  }
+};
+
+// Older messages page by page: pass the oldest timestamp seen as `before`
+export const getRoomMessages = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const room = await findTopicRoom(req.params.roomId);
+    if (!room) return sendRoomNotFound(res);
+
+    const { before, limit = 50 } = req.query;
+    const messages = await getTopicMessages(room._id.toString(), { before, limit });
+
+    res.json({
+      success: true,
+      messages
+    });
+
+  } catch (error) {
+    console.error('Get room messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching messages'
+    });
+  }
+};
+
+// The owner (or an admin) closes a room for good; everyone in it is removed
+export const closeRoom = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const room = await findTopicRoom(req.params.roomId);
+    if (!room) return sendRoomNotFound(res);
+
+    const isOwner = roleOf(room, req.user._id) === 'owner';
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can close this room'
+      });
+    }
+
+    const roomId = room._id.toString();
+    await ChatRoom.close(roomId);
+    await clearTopicRoom(roomId);
+
+    const io = req.app.get('io');
+    io?.to(roomId).emit('topic:closed', { roomId });
+    io?.in(roomId).socketsLeave(roomId);
+
+    if (!isOwner) {
+      await AuditLog.record(req, 'rooms.close', { targetRoom: room._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Room closed'
+    });
+
+  } catch (error) {
+    console.error('Close room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing room'
+    });
+  }
+};
+
+// Owners appoint and dismiss moderators
+const setModerator = (appoint) => async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { userId } = req.params;
+    const room = await findTopicRoom(req.params.roomId);
+    if (!room) return sendRoomNotFound(res);
+
+    if (roleOf(room, req.user._id) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can change moderators'
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot be a moderator'
+      });
+    }
+
+    if (appoint && !await User.exists({ _id: userId })) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    await ChatRoom.updateOne(
+      { _id: room._id },
+      appoint
+        ? { $addToSet: { moderators: userObjectId } }
+        : { $pull: { moderators: userObjectId } }
+    );
+
+    const roomId = room._id.toString();
+    req.app.get('io')?.to(roomId).emit('topic:role', {
+      roomId,
+      userId,
+      role: appoint ? 'moderator' : 'member'
+    });
+
+    res.json({
+      success: true,
+      message: appoint ? 'Moderator added' : 'Moderator removed'
+    });
+
+  } catch (error) {
+    console.error('Set moderator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating moderators'
+    });
+  }
+};
+
+export const addModerator = setModerator(true);
+export const removeModerator = setModerator(false);
@@ -1,18 +1,120 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import mongoose from 'mongoose';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import connectDB from './config/database.js';
+import connectRedis from './config/redis.js';
 import authRoutes from './routes/auth.js';
 import matchingRoutes from './routes/matching.js';
+import friendRoutes from './routes/friends.js';
+import reportRoutes from './routes/reports.js';
+import adminRoutes from './routes/admin.js';
+import blockRoutes from './routes/blocks.js';
+import exportRoutes from './routes/exports.js';
+import interestRoutes from './routes/interests.js';
+import presenceRoutes from './routes/presence.js';
+import webrtcRoutes from './routes/webrtc.js';
+import roomRoutes from './routes/rooms.js';
 import User from './models/User.js';
+import ChatRoom, { messagePayload } from './models/ChatRoom.js';
+import Friendship from './models/Friendship.js';
+import DirectMessage from './models/DirectMessage.js';
+import { REPORT_REASONS } from './models/Report.js';
+import { authenticateSocket } from './middleware/auth.js';
+import { createMatchmaker, checkMatchRequest } from './services/matchmaking.js';
+import { submitReport } from './services/reports.js';
+import { blockUser, unblockUser, isBlockedEitherWay } from './services/blocks.js';
+import { getRecentPartnerIds } from './services/recentPartners.js';
+import {
+  resumeExports,
+  cleanupExpiredExports,
+  EXPORT_RECLAIM_INTERVAL_MS
+} from './services/dataExport.js';
+import { UPLOAD_DIR, UPLOAD_URL_PATH } from './services/storage.js';
+import { seedInterestTaxonomy } from './services/interests.js';
+import { canSendMail } from './services/mailer.js';
+import { distanceBucket, pointOf } from './services/geo.js';
+import {
+  checkMessage,
+  createMessageThrottle,
+  MESSAGE_ERROR_CODES
+} from './services/messageFilter.js';
+import { createTypingTracker } from './services/typing.js';
+import { registerTopicRoomHandlers, leaveAllTopicRooms } from './services/topicRoomSockets.js';
+import {
+  checkSignal,
+  applyCallEvent,
+  clearCall,
+  WEBRTC_ERROR_CODES
+} from './services/webrtc.js';
+import {
+  allowSocketEvent,
+  setDefaultStore,
+  createRedisStore
+} from './middleware/rateLimit.js';
+import {
+  matchRequestLimiter,
+  reportLimiter,
+  unverifiedMatchLimiter
+} from './config/rateLimits.js';
+import { userRoom, disconnectUser } from './services/sockets.js';
+import { setSharedState, createRedisState } from './services/sharedState.js';
+import {
+  addSocket,
+  removeSocket,
+  heartbeat,
+  sweepExpired,
+  resetStaleOnlineFlags,
+  countSockets,
+  isUserOnline,
+  HEARTBEAT_INTERVAL_MS
+} from './services/presence.js';
+import {
+  registerRoom,
+  getRoom,
+  removeRoom,
+  listRoomIds,
+  findRoomIdsBySockets,
+  partnerSocketOf,
+  socketOfUser,
+  createResumeToken,
+  resumeTokenMatches,
+  markAway,
+  awaySince,
+  listOverdueAway,
+  claimOverdueAway,
+  replaceSocket,
+  addConnectRequest,
+  removeConnectRequest,
+  hasConnectRequest
+} from './services/roomRegistry.js';
 
 // Load environment variables
 dotenv.config();
 
 // Connect to database
-connectDB();
+connectDB().then(async () => {
+  await ChatRoom.closeOrphaned(await listRoomIds());
+  await resetStaleOnlineFlags();
+  await seedInterestTaxonomy();
+  await resumeExports();
+  await cleanupExpiredExports();
+}).catch(error => console.error('Startup cleanup error:', error));
+
+// Expired data export archives are removed hourly
+setInterval(() => {
+  cleanupExpiredExports()
+    .catch(error => console.error('Export cleanup error:', error));
+}, 60 * 60 * 1000).unref();
+
+// Exports whose instance stopped mid-build are taken over by another one
+setInterval(() => {
+  resumeExports()
+    .catch(error => console.error('Export resume error:', error));
+}, EXPORT_RECLAIM_INTERVAL_MS).unref();
 const url = ['https://monkey-app-ashen.vercel.app', 'https://monkey-app-git-main-upkar-s-projects.vercel.app', 'https://monkey-app-54a7.onrender.com'];
 // const url = ['http://localhost:5173', 'http://localhost:3000'],;
 const app = express();
@@ -21,21 +123,58 @@ const io = new Server(server, {
   cors: {
     origin: url,
     methods: ['GET', 'POST']
-  }
+  },
+  // Same cap as REST bodies; SDP offers are the largest legitimate payloads
+  maxHttpBufferSize: 100 * 1024
 });
 
+// With Redis, several instances share broadcasts, rooms, presence and the
+// matchmaking queue; without it everything stays in this process
+const redis = connectRedis();
+if (redis) {
+  io.adapter(createAdapter(redis.pubClient, redis.subClient));
+  setSharedState(createRedisState(redis.pubClient));
+  // Limits and lockouts must count attempts made on every instance
+  setDefaultStore(createRedisStore(redis.pubClient));
+}
+
+// Lets REST handlers reach live sockets (e.g. to kick a banned user)
+app.set('io', io);
+
+// Behind a proxy (e.g. Render) the client IP used for rate limiting comes
+// from X-Forwarded-For; TRUST_PROXY is the number of proxy hops to trust
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: url,
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '100kb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded files (avatars) stored by the local storage backend
+app.use(UPLOAD_URL_PATH, express.static(UPLOAD_DIR, {
+  maxAge: '7d',
+  // Stored file names are random, so a URL never changes content
+  immutable: true
+}));
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/matching', matchingRoutes);
+app.use('/api/friends', friendRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/blocks', blockRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/interests', interestRoutes);
+app.use('/api/presence', presenceRoutes);
+app.use('/api/webrtc', webrtcRoutes);
+app.use('/api/rooms', roomRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -47,168 +186,741 @@ app.get('/api/health', (req, res) => {
 });
 
 // Socket.IO connection handling
-const activeUsers = new Map();
-const activeRooms = new Map();
+const matchmaker = createMatchmaker();
+app.set('matchmaker', matchmaker);
+const messageThrottle = createMessageThrottle();
+const typingTracker = createTypingTracker({
+  onTimeout: (socketId, roomId) => {
+    const socket = io.sockets.sockets.get(socketId);
+    socket?.to(roomId).emit('typing:stop', { roomId, userId: socket.userId });
+  }
+});
+
+// Most message ids accepted in one receipt event
+const MAX_RECEIPT_IDS = 100;
+
+// How long a chat waits for a dropped member to resume before it ends
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 30000;
+
+const broadcastUserCount = async () => {
+  io.emit('users:count', { count: await countSockets() });
+};
+
+// Put a matched pair into a private room and tell both sides. Either socket
+// may be connected to another instance.
+const openRoom = async ({ a, b, commonInterests, distanceKm, mode }) => {
+  const [[socketA], [socketB]] = await Promise.all([
+    io.in(a.socketId).fetchSockets(),
+    io.in(b.socketId).fetchSockets()
+  ]);
+
+  // One side vanished between queueing and pairing; requeue the other
+  if (!socketA || !socketB) {
+    const survivor = socketA ? a : socketB ? b : null;
+    if (survivor) await matchmaker.enqueue(survivor);
+    return;
+  }
+
+  // The persisted chat room's id doubles as the Socket.IO room name
+  const chatRoom = await ChatRoom.create({ participants: [a.userId, b.userId], mode });
+  const roomId = chatRoom._id.toString();
+  const resumeA = createResumeToken();
+  const resumeB = createResumeToken();
+
+  // Store room info
+  await registerRoom(roomId, {
+    user1: a.socketId,
+    user2: b.socketId,
+    userIds: { [a.socketId]: a.userId, [b.socketId]: b.userId },
+    usernames: { [a.socketId]: a.username, [b.socketId]: b.username },
+    resumeTokens: { [a.userId]: resumeA.hash, [b.userId]: resumeB.hash },
+    mode,
+    startTime: chatRoom.startedAt
+  });
+
+  socketA.join(roomId);
+  socketB.join(roomId);
+
+  // Notify both users of the match
+  socketA.emit('match:found', {
+    roomId,
+    partnerId: b.socketId,
+    partnerUserId: b.userId,
+    partnerName: b.username,
+    mode,
+    commonInterests,
+    distance: distanceBucket(distanceKm),
+    resumeToken: resumeA.token,
+    reconnectGraceMs: RECONNECT_GRACE_MS
+  });
+  socketB.emit('match:found', {
+    roomId,
+    partnerId: a.socketId,
+    partnerUserId: a.userId,
+    partnerName: a.username,
+    mode,
+    commonInterests,
+    distance: distanceBucket(distanceKm),
+    resumeToken: resumeB.token,
+    reconnectGraceMs: RECONNECT_GRACE_MS
+  });
+};
+
+// Forget a room and close its ChatRoom document
+const endRoom = (roomId) => {
+  removeRoom(roomId)
+    .then(removed => removed && Promise.all([ChatRoom.close(roomId), clearCall(roomId)]))
+    .catch(error => console.error('Close room error:', error));
+};
+
+// End the chat if a dropped member has not resumed it by now
+const endAbandonedRoom = async (roomId, socketId) => {
+  if (!await claimOverdueAway(roomId, socketId)) return;
+  if (!await awaySince(roomId, socketId)) return;
+
+  io.to(roomId).emit('partner:disconnected');
+  endRoom(roomId);
+};
+
+const runMatchmaking = () => {
+  matchmaker.match()
+    .then(pairs => pairs.forEach(pair => {
+      openRoom(pair).catch(error => {
+        console.error('Open room error:', error);
+        // Put both back so neither is stuck searching forever
+        Promise.all([matchmaker.enqueue(pair.a), matchmaker.enqueue(pair.b)])
+          .catch(requeueError => console.error('Requeue error:', requeueError));
+      });
+    }))
+    .catch(error => console.error('Matchmaking error:', error));
+};
+
+// Criteria relax over time, so waiting users are re-evaluated periodically
+// even when nobody new joins the queue
+setInterval(runMatchmaking, parseInt(process.env.MATCH_INTERVAL_MS, 10) || 2000).unref();
+
+// Keep this instance's sockets alive in the shared presence registry and
+// clean up after instances that stopped without disconnecting theirs
+const refreshPresence = async () => {
+  await heartbeat(Array.from(io.sockets.sockets.keys()));
+
+  // Grace periods whose timer was lost with the instance that started it
+  for (const { roomId, socketId } of await listOverdueAway()) {
+    await endAbandonedRoom(roomId, socketId);
+  }
+
+  const expired = await sweepExpired();
+  if (expired.length === 0) return;
+
+  const socketIds = expired.map(entry => entry.socketId);
+  await Promise.all(socketIds.map(socketId => matchmaker.remove(socketId)));
+  for (const socketId of socketIds) {
+    await leaveAllTopicRooms(io, socketId);
+  }
+  (await findRoomIdsBySockets(socketIds)).forEach(roomId => {
+    io.to(roomId).emit('partner:disconnected');
+    endRoom(roomId);
+  });
+  await broadcastUserCount();
+};
+
+setInterval(() => {
+  refreshPresence().catch(error => console.error('Presence refresh error:', error));
+}, HEARTBEAT_INTERVAL_MS).unref();
+
+// Every socket must present a valid JWT; the verified user is attached to the
+// socket so handlers never trust client-supplied identities
+io.use(authenticateSocket);
 
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  console.log('User connected:', socket.id, socket.username);
+
+  socket.join(userRoom(socket.userId));
+
+  // Hand over friend messages that arrived while the user was offline
+  DirectMessage.takeUndelivered(socket.userId)
+    .then(pending => pending.forEach(message => {
+      socket.emit('friend:message', message.toPayload());
+    }))
+    .catch(error => console.error('Pending friend messages error:', error));
+
+  // Marks the user online; not awaited so no early events are missed
+  addSocket(socket.id, { userId: socket.userId, username: socket.username })
+    .then(broadcastUserCount)
+    .catch(error => console.error('Presence update error:', error));
+
+  // Kept for older clients: identity now comes from the handshake token, so
+  // any userId/username in the payload is ignored
+  socket.on('user:join', () => {
+    socket.emit('user:joined', {
+      success: true,
+      user: { id: socket.userId, username: socket.username }
+    });
+  });
 
-  // User joins with authentication
-  socket.on('user:join', async (data) => {
+  // Handle matching requests
+  // { mode: 'text' | 'video' | 'either', capabilities: { camera, microphone } }
+  socket.on('match:request', async (data) => {
     try {
-      const { userId, username } = data;
-      
-      // Update user online status
-      await User.findByIdAndUpdate(userId, { 
-        isOnline: true,
-        lastSeen: new Date()
+      if (!await allowSocketEvent(socket, matchRequestLimiter, 'match:request')) return;
+
+      const request = checkMatchRequest(data || {});
+      if (request.error) return socket.emit('match:error', request.error);
+
+      // Re-read the profile so interest/preference edits apply immediately
+      const [user, recentPartners] = await Promise.all([
+        User.findById(socket.userId).select('-password'),
+        getRecentPartnerIds(socket.userId)
+      ]);
+      if (!user || !socket.connected) return;
+
+      // Unverified accounts only get a few matches a day, unless no
+      // verification email could reach them
+      if (!user.isEmailVerified && canSendMail()) {
+        const { allowed, retryAfter } = await unverifiedMatchLimiter.consume(socket.userId);
+        if (!allowed) {
+          return socket.emit('match:error', {
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Verify your email to keep matching today',
+            retryAfter
+          });
+        }
+      }
+
+      await matchmaker.enqueue({
+        socketId: socket.id,
+        userId: socket.userId,
+        username: socket.username,
+        interests: user.interests,
+        preferences: user.preferences,
+        age: user.age ?? undefined,
+        gender: user.gender,
+        location: pointOf(user),
+        blockedUsers: user.blockedUsers,
+        recentPartners,
+        mode: request.mode,
+        capabilities: request.capabilities
       });
+      const [queueSize, queueSizes] = await Promise.all([
+        matchmaker.size(),
+        matchmaker.sizeByMode()
+      ]);
+      socket.emit('match:searching', { mode: request.mode, queueSize, queueSizes });
 
-      // Store user info
-      activeUsers.set(socket.id, { userId, username });
-      socket.userId = userId;
-      socket.username = username;
+      runMatchmaking();
+    } catch (error) {
+      console.error('Match request error:', error);
+      socket.emit('match:error', { message: 'Failed to join matching queue' });
+    }
+  });
 
-      socket.emit('user:joined', { success: true });
-      
-      // Broadcast user count update
-      io.emit('users:count', { count: activeUsers.size });
-      
+  socket.on('match:cancel', async () => {
+    try {
+      await matchmaker.remove(socket.id);
+      socket.emit('match:cancelled');
     } catch (error) {
-      console.error('User join error:', error);
-      socket.emit('user:joined', { success: false, error: 'Failed to join' });
+      console.error('Match cancel error:', error);
+      socket.emit('match:error', { message: 'Failed to leave matching queue' });
     }
   });
 
-  // Handle matching requests
-  socket.on('match:request', (data) => {
-    socket.join('matching-queue');
-    socket.emit('match:searching');
-    
-    // Simple matching logic - pair with another user in queue
-    const matchingUsers = Array.from(io.sockets.adapter.rooms.get('matching-queue') || []);
-    
-    if (matchingUsers.length >= 2) {
-      const user1 = matchingUsers[0];
-      const user2 = matchingUsers[1];
+  // Handle chat messages
+  // The optional acknowledgement callback gets { success, id, timestamp } or
+  // { success: false, code, message }. A clientMessageId makes retries safe.
+  socket.on('message:send', async (data, ack) => {
+    const { roomId, message, type = 'text', clientMessageId } = data || {};
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const rejectMessage = (code, reason) => {
+      socket.emit('message:error', { roomId, clientMessageId, code, message: reason });
+      respond({ success: false, clientMessageId, code, message: reason });
+    };
+
+    try {
+      const room = await getRoom(roomId);
+      if (!room || !room.userIds[socket.id] || !socket.rooms.has(roomId)) {
+        return rejectMessage(MESSAGE_ERROR_CODES.NOT_IN_ROOM, 'You are not in this chat');
+      }
+
+      if (!messageThrottle.allow(socket.id)) {
+        return rejectMessage(MESSAGE_ERROR_CODES.RATE_LIMITED, 'You are sending messages too fast');
+      }
+
+      const checked = checkMessage({ message, type, clientMessageId });
+      if (checked.error) {
+        return rejectMessage(checked.error.code, checked.error.message);
+      }
+
+      const result = await ChatRoom.addMessage(roomId, {
+        sender: socket.userId,
+        message: checked.message,
+        type: checked.type,
+        clientMessageId: checked.clientMessageId
+      });
+
+      if (!result) {
+        return rejectMessage(MESSAGE_ERROR_CODES.CHAT_ENDED, 'Chat has ended');
+      }
+
+      const { entry: stored, duplicate } = result;
+      respond({
+        success: true,
+        id: stored._id.toString(),
+        clientMessageId,
+        timestamp: stored.timestamp,
+        duplicate
+      });
+
+      // A retry was already relayed the first time
+      if (duplicate) return;
+
+      stopTyping();
+
+      const messageData = messagePayload(stored, socket.username);
       
-      if (user1 !== socket.id) {
-        const roomId = `room_${user1}_${user2}`;
-        
-        // Remove users from matching queue
-        io.sockets.sockets.get(user1)?.leave('matching-queue');
-        io.sockets.sockets.get(user2)?.leave('matching-queue');
-        
-        // Join them to a private room
-        io.sockets.sockets.get(user1)?.join(roomId);
-        io.sockets.sockets.get(user2)?.join(roomId);
-        
-        // Store room info
-        activeRooms.set(roomId, { user1, user2, startTime: new Date() });
-        
-        // Notify both users of the match
-        io.to(user1).emit('match:found', { 
-          roomId, 
-          partnerId: user2,
-          partnerName: activeUsers.get(user2)?.username 
+      // Send to all users in the room
+      io.to(roomId).emit('message:received', messageData);
+    } catch (error) {
+      console.error('Message send error:', error);
+      rejectMessage(MESSAGE_ERROR_CODES.SERVER_ERROR, 'Failed to send message');
+    }
+  });
+
+  // Receipts from the recipient: { roomId, messageIds } marks messages as
+  // delivered or seen, and the sender is told through message:status
+  const handleReceipt = (status) => async (data) => {
+    try {
+      const { roomId, messageIds } = data || {};
+      const ids = Array.isArray(messageIds)
+        ? messageIds.filter(id => mongoose.isValidObjectId(id)).slice(0, MAX_RECEIPT_IDS)
+        : [];
+      if (ids.length === 0) return;
+
+      const room = await getRoom(roomId);
+      if (!room || !room.userIds[socket.id]) return;
+
+      const at = await ChatRoom.markMessages(roomId, socket.userId, ids, status);
+      socket.to(roomId).emit('message:status', { roomId, messageIds: ids, status, at });
+    } catch (error) {
+      console.error('Message receipt error:', error);
+    }
+  };
+
+  socket.on('message:delivered', handleReceipt('delivered'));
+  socket.on('message:seen', handleReceipt('seen'));
+
+  // Typing indicators for the chat partner; the server sends typing:stop
+  // itself if the client goes quiet without one
+  const stopTyping = () => {
+    const roomId = typingTracker.stop(socket.id);
+    if (roomId) socket.to(roomId).emit('typing:stop', { roomId, userId: socket.userId });
+  };
+
+  socket.on('typing:start', async (data) => {
+    try {
+      const { roomId } = data || {};
+      const room = await getRoom(roomId);
+      if (!room || !room.userIds[socket.id] || !socket.rooms.has(roomId)) return;
+
+      if (typingTracker.start(socket.id, roomId)) {
+        socket.to(roomId).emit('typing:start', { roomId, userId: socket.userId });
+      }
+    } catch (error) {
+      console.error('Typing start error:', error);
+    }
+  });
+
+  socket.on('typing:stop', stopTyping);
+
+  // Ask the current chat partner to connect; once both have asked they
+  // become friends with a persistent conversation
+  socket.on('connect:request', async (data) => {
+    try {
+      const { roomId } = data || {};
+      const room = await getRoom(roomId);
+      if (!room || (room.user1 !== socket.id && room.user2 !== socket.id)) {
+        return socket.emit('connect:error', { roomId, message: 'Not in this chat' });
+      }
+
+      const partnerSocketId = partnerSocketOf(room, socket.id);
+      const partnerUserId = room.userIds[partnerSocketId];
+
+      await addConnectRequest(roomId, socket.id);
+      if (!await hasConnectRequest(roomId, partnerSocketId)) {
+        socket.emit('connect:pending', { roomId });
+        io.to(partnerSocketId).emit('connect:requested', { roomId });
+        return;
+      }
+
+      const friendship = await Friendship.connect(socket.userId, partnerUserId, roomId);
+
+      socket.emit('connect:accepted', {
+        roomId,
+        friendshipId: friendship._id,
+        friendId: partnerUserId,
+        friendName: room.usernames[partnerSocketId]
+      });
+      io.to(partnerSocketId).emit('connect:accepted', {
+        roomId,
+        friendshipId: friendship._id,
+        friendId: socket.userId,
+        friendName: socket.username
+      });
+    } catch (error) {
+      console.error('Connect request error:', error);
+      socket.emit('connect:error', { message: 'Failed to connect' });
+    }
+  });
+
+  socket.on('connect:decline', async (data) => {
+    try {
+      const { roomId } = data || {};
+      const room = await getRoom(roomId);
+      if (!room || (room.user1 !== socket.id && room.user2 !== socket.id)) return;
+
+      const partnerSocketId = partnerSocketOf(room, socket.id);
+      await removeConnectRequest(roomId, partnerSocketId);
+      io.to(partnerSocketId).emit('connect:declined', { roomId });
+    } catch (error) {
+      console.error('Connect decline error:', error);
+    }
+  });
+
+  // Direct messages between friends, outside of random matching
+  socket.on('friend:message', async (data) => {
+    try {
+      const { friendId, message } = data || {};
+      if (!friendId) {
+        return socket.emit('friend:error', {
+          code: MESSAGE_ERROR_CODES.INVALID_PAYLOAD,
+          message: 'Friend is required'
         });
-        io.to(user2).emit('match:found', { 
-          roomId, 
-          partnerId: user1,
-          partnerName: activeUsers.get(user1)?.username 
+      }
+
+      if (!messageThrottle.allow(socket.id)) {
+        return socket.emit('friend:error', {
+          friendId,
+          code: MESSAGE_ERROR_CODES.RATE_LIMITED,
+          message: 'You are sending messages too fast'
         });
       }
+
+      const checked = checkMessage({ message });
+      if (checked.error) {
+        return socket.emit('friend:error', { friendId, ...checked.error });
+      }
+
+      const friendship = mongoose.isValidObjectId(friendId)
+        && await Friendship.findBetween(socket.userId, friendId);
+      if (!friendship) {
+        return socket.emit('friend:error', { friendId, message: 'Friend not found' });
+      }
+
+      if (await isBlockedEitherWay(socket.userId, friendId)) {
+        return socket.emit('friend:error', { friendId, message: 'Cannot message this user' });
+      }
+
+      const recipientOnline = await isUserOnline(friendId);
+      const directMessage = await DirectMessage.create({
+        friendship: friendship._id,
+        sender: socket.userId,
+        recipient: friendId,
+        message: checked.message,
+        deliveredAt: recipientOnline ? new Date() : null
+      });
+
+      friendship.lastMessageAt = directMessage.createdAt;
+      await friendship.save();
+
+      // Echo to the sender's other tabs as well as to the friend
+      io.to(userRoom(friendId)).to(userRoom(socket.userId))
+        .emit('friend:message', directMessage.toPayload());
+    } catch (error) {
+      console.error('Friend message error:', error);
+      socket.emit('friend:error', { message: 'Failed to send message' });
     }
   });
 
-  // Handle chat messages
-  socket.on('message:send', (data) => {
-    const { roomId, message, type = 'text' } = data;
-    const user = activeUsers.get(socket.id);
-    
-    if (user && roomId) {
-      const messageData = {
-        id: Date.now().toString(),
-        userId: user.userId,
-        username: user.username,
-        message,
-        type,
-        timestamp: new Date()
-      };
-      
-      // Send to all users in the room
-      io.to(roomId).emit('message:received', messageData);
+  // Block a user by id, or the current chat partner (which also ends the chat)
+  socket.on('user:block', async (data) => {
+    try {
+      const { roomId, userId } = data || {};
+      const room = roomId && await getRoom(roomId);
+      if (roomId && (!room || !room.userIds[socket.id])) {
+        return socket.emit('block:error', { roomId, message: 'Not in this chat' });
+      }
+
+      const partnerSocketId = room && partnerSocketOf(room, socket.id);
+      const targetId = room ? room.userIds[partnerSocketId] : userId;
+
+      const result = await blockUser(socket.userId, targetId);
+      if (!result.blocked) {
+        return socket.emit('block:error', { userId: targetId, message: result.message });
+      }
+
+      await matchmaker.block(socket.userId, targetId);
+      socket.emit('block:done', { userId: targetId });
+
+      if (room) {
+        socket.to(roomId).emit('partner:disconnected');
+        socket.leave(roomId);
+        endRoom(roomId);
+      }
+    } catch (error) {
+      console.error('Block user error:', error);
+      socket.emit('block:error', { message: 'Failed to block user' });
     }
   });
 
-  // Handle WebRTC signaling
-  socket.on('webrtc:offer', (data) => {
-    socket.to(data.roomId).emit('webrtc:offer', {
-      offer: data.offer,
-      from: socket.id
-    });
+  socket.on('user:unblock', async (data) => {
+    try {
+      const { userId } = data || {};
+      if (!mongoose.isValidObjectId(userId)) {
+        return socket.emit('block:error', { userId, message: 'Invalid user id' });
+      }
+
+      await unblockUser(socket.userId, userId);
+      await matchmaker.unblock(socket.userId, userId);
+      socket.emit('unblock:done', { userId });
+    } catch (error) {
+      console.error('Unblock user error:', error);
+      socket.emit('block:error', { message: 'Failed to unblock user' });
+    }
   });
 
-  socket.on('webrtc:answer', (data) => {
-    socket.to(data.roomId).emit('webrtc:answer', {
-      answer: data.answer,
-      from: socket.id
-    });
+  // Report the current chat partner
+  socket.on('user:report', async (data) => {
+    try {
+      if (!await allowSocketEvent(socket, reportLimiter, 'user:report')) return;
+
+      const { roomId, reason, details, messageExcerpt } = data || {};
+      const room = await getRoom(roomId);
+      if (!room || !room.userIds[socket.id]) {
+        return socket.emit('report:error', { roomId, message: 'Not in this chat' });
+      }
+
+      if (!REPORT_REASONS.includes(reason)) {
+        return socket.emit('report:error', { roomId, message: 'Invalid report reason' });
+      }
+
+      const partnerSocketId = partnerSocketOf(room, socket.id);
+      const reportedUserId = room.userIds[partnerSocketId];
+
+      const result = await submitReport({
+        reporterId: socket.userId,
+        reportedUserId,
+        roomId,
+        reason,
+        details: typeof details === 'string' ? details.trim().slice(0, 1000) : undefined,
+        messageExcerpt: typeof messageExcerpt === 'string'
+          ? messageExcerpt.trim().slice(0, 500)
+          : undefined
+      });
+
+      if (!result.report) {
+        return socket.emit('report:error', { roomId, message: result.message });
+      }
+
+      socket.emit('report:submitted', { roomId, duplicate: result.duplicate });
+
+      if (result.ban) {
+        disconnectUser(io, reportedUserId, 'account:banned', result.ban);
+      }
+    } catch (error) {
+      console.error('User report error:', error);
+      socket.emit('report:error', { message: 'Failed to submit report' });
+    }
   });
 
-  socket.on('webrtc:ice-candidate', (data) => {
-    socket.to(data.roomId).emit('webrtc:ice-candidate', {
-      candidate: data.candidate,
-      from: socket.id
+  // WebRTC signaling, relayed to the chat partner only. Offers, answers and
+  // candidates must fit the room's call state (see services/webrtc.js).
+  const rejectSignal = (roomId, { code, message }) =>
+    socket.emit('webrtc:error', { roomId, code, message });
+
+  // Resolves to the room if this socket is in it, otherwise tells it so
+  const callRoomOf = async (roomId) => {
+    const room = await getRoom(roomId);
+    if (room && room.userIds[socket.id] && socket.rooms.has(roomId)) return room;
+
+    rejectSignal(roomId, {
+      code: WEBRTC_ERROR_CODES.NOT_IN_ROOM,
+      message: 'You are not in this chat'
     });
-  });
+    return null;
+  };
+
+  const emitCallState = (roomId, call) => {
+    io.to(roomId).emit('call:state', { roomId, state: call.state, callerId: call.callerId });
+  };
+
+  const relaySignal = (kind, field) => async (data) => {
+    try {
+      const { roomId } = data || {};
+      if (!await callRoomOf(roomId)) return;
+
+      const checked = checkSignal(kind, data);
+      if (checked.error) return rejectSignal(roomId, checked.error);
+
+      const result = await applyCallEvent(roomId, socket.userId, kind);
+      if (result.error) return rejectSignal(roomId, result.error);
+
+      socket.to(roomId).emit(`webrtc:${kind}`, {
+        [field]: checked.signal,
+        from: socket.id,
+        fromUserId: socket.userId
+      });
+      if (result.changed) emitCallState(roomId, result.call);
+    } catch (error) {
+      console.error('WebRTC signaling error:', error);
+    }
+  };
+
+  socket.on('webrtc:offer', relaySignal('offer', 'offer'));
+  socket.on('webrtc:answer', relaySignal('answer', 'answer'));
+  socket.on('webrtc:ice-candidate', relaySignal('ice-candidate', 'candidate'));
+
+  // call:start rings the partner before the first offer; call:end hangs up
+  const changeCall = (event) => async (data) => {
+    try {
+      const { roomId } = data || {};
+      const room = await callRoomOf(roomId);
+      if (!room) return;
+
+      if (event === 'start' && room.mode === 'text') {
+        return rejectSignal(roomId, {
+          code: WEBRTC_ERROR_CODES.INVALID_CALL_STATE,
+          message: 'This chat is text only'
+        });
+      }
+
+      const result = await applyCallEvent(roomId, socket.userId, event);
+      if (result.error) return rejectSignal(roomId, result.error);
+
+      socket.to(roomId).emit(`call:${event}`, { roomId, fromUserId: socket.userId });
+      emitCallState(roomId, result.call);
+    } catch (error) {
+      console.error(`Call ${event} error:`, error);
+    }
+  };
+
+  socket.on('call:start', changeCall('start'));
+  socket.on('call:end', changeCall('end'));
+
+  // Topic rooms: public group chats about one interest
+  registerTopicRoomHandlers(io, socket, { messageThrottle });
 
   // Handle user skip/disconnect from room
-  socket.on('room:leave', (data) => {
-    const { roomId } = data;
-    if (roomId) {
+  socket.on('room:leave', async (data) => {
+    try {
+      const { roomId } = data || {};
+      const room = await getRoom(roomId);
+      if (!room?.userIds[socket.id]) return;
+
+      typingTracker.stop(socket.id);
       socket.to(roomId).emit('partner:disconnected');
       socket.leave(roomId);
-      
-      // Clean up room if empty
-      const room = io.sockets.adapter.rooms.get(roomId);
-      if (!room || room.size === 0) {
-        activeRooms.delete(roomId);
+
+      // The chat is over once either side leaves
+      endRoom(roomId);
+    } catch (error) {
+      console.error('Room leave error:', error);
+    }
+  });
+
+  // Rejoin a chat from a new socket after the connection dropped, using the
+  // resumeToken from match:found. Messages the client missed are replayed;
+  // it may send the id of the last message it got as lastMessageId.
+  socket.on('session:resume', async (data, ack) => {
+    const { roomId, resumeToken, lastMessageId } = data || {};
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const rejectResume = (message) => {
+      socket.emit('session:error', { roomId, message });
+      respond({ success: false, message });
+    };
+
+    try {
+      const room = await getRoom(roomId);
+      const previousSocketId = room && socketOfUser(room, socket.userId);
+      if (!previousSocketId || !resumeTokenMatches(room, socket.userId, resumeToken)) {
+        return rejectResume('This chat can no longer be resumed');
+      }
+
+      if (previousSocketId !== socket.id) {
+        const droppedAt = await awaySince(roomId, previousSocketId);
+        const updated = await replaceSocket(roomId, previousSocketId, socket.id);
+        if (!updated) return rejectResume('This chat can no longer be resumed');
+
+        // The old connection may not have timed out yet; it no longer
+        // belongs to the room, so closing it does not end the chat
+        io.in(previousSocketId).disconnectSockets(true);
+        socket.join(roomId);
+
+        const partnerSocketId = partnerSocketOf(updated, socket.id);
+        const missed = await ChatRoom.messagesAfter(roomId, {
+          messageId: typeof lastMessageId === 'string' ? lastMessageId : undefined,
+          since: droppedAt
+        });
+        const usernames = {
+          [socket.userId]: socket.username,
+          [updated.userIds[partnerSocketId]]: updated.usernames[partnerSocketId]
+        };
+
+        socket.to(roomId).emit('partner:reconnected', { roomId, partnerId: socket.id });
+
+        const session = {
+          roomId,
+          partnerId: partnerSocketId,
+          partnerUserId: updated.userIds[partnerSocketId],
+          partnerName: updated.usernames[partnerSocketId],
+          missedMessages: missed.map(message =>
+            messagePayload(message, usernames[message.sender.toString()]))
+        };
+        socket.emit('session:resumed', session);
+        return respond({ success: true, ...session });
       }
+
+      respond({ success: true, roomId, missedMessages: [] });
+    } catch (error) {
+      console.error('Session resume error:', error);
+      rejectResume('Failed to resume chat');
     }
   });
 
+  // A dropped connection gets a grace period to resume before the partner is
+  // told the chat is over (socket.rooms is already empty on 'disconnect')
+  socket.on('disconnecting', () => {
+    leaveAllTopicRooms(io, socket.id)
+      .catch(error => console.error('Disconnect topic cleanup error:', error));
+
+    const roomIds = Array.from(socket.rooms);
+    Promise.all(roomIds.map(async roomId => {
+      // Rooms the socket was moved out of by a resume are not its own any more
+      const room = await getRoom(roomId);
+      if (!room?.userIds[socket.id]) return;
+
+      await markAway(roomId, socket.id, RECONNECT_GRACE_MS);
+      socket.to(roomId).emit('partner:reconnecting', { roomId, graceMs: RECONNECT_GRACE_MS });
+
+      setTimeout(() => {
+        endAbandonedRoom(roomId, socket.id)
+          .catch(error => console.error('Abandoned room cleanup error:', error));
+      }, RECONNECT_GRACE_MS).unref();
+    })).catch(error => console.error('Disconnect room cleanup error:', error));
+  });
+
   // Handle disconnection
   socket.on('disconnect', async () => {
     console.log('User disconnected:', socket.id);
     
     try {
-      const user = activeUsers.get(socket.id);
-      if (user) {
-        // Update user offline status
-        await User.findByIdAndUpdate(user.userId, { 
-          isOnline: false,
-          lastSeen: new Date()
-        });
-        
-        activeUsers.delete(socket.id);
-      }
-      
-      // Notify partner if in a room
-      socket.rooms.forEach(roomId => {
-        if (roomId !== socket.id) {
-          socket.to(roomId).emit('partner:disconnected');
-          
-          // Clean up room
-          const room = io.sockets.adapter.rooms.get(roomId);
-          if (!room || room.size <= 1) {
-            activeRooms.delete(roomId);
-          }
-        }
-      });
-      
+      messageThrottle.clear(socket.id);
+      typingTracker.stop(socket.id);
+      await matchmaker.remove(socket.id);
+
+      // Other tabs keep the user online
+      await removeSocket(socket.id);
+
       // Broadcast updated user count
-      io.emit('users:count', { count: activeUsers.size });
+      await broadcastUserCount();
       
     } catch (error) {
       console.error('Disconnect cleanup error:', error);
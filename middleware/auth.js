@@ -1,51 +1,61 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+
+// Resolve a bearer token to its user. Shared by the REST and Socket.IO
+// authentication so both enforce exactly the same rules.
+const resolveUserFromToken = async (token) => {
+  if (!token) {
+    return { status: 401, message: 'Access denied. No token provided.' };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { status: 401, message: 'Token expired.' };
+    }
+    return { status: 401, message: 'Invalid token.' };
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    return { status: 401, message: 'Invalid token. User not found.' };
+  }
+
+  // Revoked by logout, or by "log out all devices" bumping tokenVersion
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)
+    || (decoded.jti && await RevokedToken.exists({ jti: decoded.jti }))) {
+    return { status: 401, message: 'Token has been revoked.' };
+  }
+
+  if (await user.refreshBanStatus()) {
+    return { status: 403, message: 'Account has been banned.', bannedUntil: user.bannedUntil };
+  }
+
+  return { user, decoded };
+};
 
 export const authenticate = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Access denied. No token provided.' 
-      });
-    }
+    const { user, decoded, status, message, bannedUntil } = await resolveUserFromToken(token);
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
     if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid token. User not found.' 
-      });
-    }
-
-    if (user.isBanned) {
-      return res.status(403).json({ 
+      return res.status(status).json({ 
         success: false, 
-        message: 'Account has been banned.' 
+        message,
+        ...(bannedUntil && { bannedUntil })
       });
     }
 
     req.user = user;
+    req.auth = { jti: decoded.jti, sessionId: decoded.sid, exp: decoded.exp };
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid token.' 
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Token expired.' 
-      });
-    }
-
     res.status(500).json({ 
       success: false, 
       message: 'Server error during authentication.' 
@@ -53,8 +63,53 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Role guard, used after `authenticate`: router.use(authenticate, authorize('admin'))
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Access denied. Insufficient permissions.' 
+    });
+  }
+
+  next();
+};
+
+// Socket.IO handshake middleware. Clients pass the token from login/register
+// as `auth: { token }` (or an Authorization header for non-browser clients).
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers?.authorization?.replace('Bearer ', '');
+    const { user, decoded, status, message, bannedUntil } = await resolveUserFromToken(token);
+
+    if (!user) {
+      const error = new Error(message);
+      error.data = { status, ...(bannedUntil && { bannedUntil }) };
+      return next(error);
+    }
+
+    socket.user = user;
+    socket.userId = user._id.toString();
+    socket.username = user.username;
+    // socket.data is visible through fetchSockets(), so revocation can find
+    // the sockets opened with a given session
+    socket.data.userId = socket.userId;
+    socket.data.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    const serverError = new Error('Server error during authentication.');
+    serverError.data = { status: 500 };
+    next(serverError);
+  }
+};
+
+// Short-lived access token. `sessionId` ties it to the refresh token family
+// it was issued with and `tokenVersion` to the user's current token version.
+export const generateToken = (userId, { sessionId, tokenVersion = 0 } = {}) => {
+  return jwt.sign({ userId, sid: sessionId, tv: tokenVersion }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+    jwtid: crypto.randomUUID()
   });
-};
\ No newline at end of file
+};
@@ -0,0 +1,196 @@
+// Rate limiting shared by REST routes and socket events.
+//
+// Counters live in a store with a small async interface so the in-memory
+// default can be swapped for the Redis one (see index.js) when running
+// several instances:
+//   increment(key, ttlMs) -> { count, expiresAt }  (ttl starts on first hit)
+//   get(key)              -> { count, expiresAt } | null
+//   reset(key)
+
+export const createMemoryStore = ({ sweepIntervalMs = 60000 } = {}) => {
+  const entries = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired counters so the map does not grow forever
+  setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, sweepIntervalMs).unref();
+
+  return {
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, expiresAt: now + ttlMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+// Starts the expiry on the first hit, atomically with the increment
+const INCREMENT_SCRIPT = `
+local count = redis.call('incr', KEYS[1])
+if count == 1 then
+  redis.call('pexpire', KEYS[1], ARGV[1])
+end
+return { count, redis.call('pttl', KEYS[1]) }`;
+
+// Counters shared by every instance. `client` is an ioredis client.
+export const createRedisStore = (client, { prefix = 'monkeychat:' } = {}) => {
+  const k = (key) => `${prefix}${key}`;
+
+  return {
+    async increment(key, ttlMs) {
+      const [count, ttl] = await client.eval(INCREMENT_SCRIPT, 1, k(key), ttlMs);
+      return { count, expiresAt: Date.now() + Math.max(ttl, 0) };
+    },
+
+    async get(key) {
+      const [[, count], [, ttl]] = await client.multi().get(k(key)).pttl(k(key)).exec();
+      if (count === null || ttl <= 0) return null;
+      return { count: Number(count), expiresAt: Date.now() + ttl };
+    },
+
+    async reset(key) {
+      await client.del(k(key));
+    }
+  };
+};
+
+let defaultStore = null;
+
+// The store used when a limiter is not given one explicitly
+export const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = createMemoryStore();
+  return defaultStore;
+};
+
+export const setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Fixed-window limiter: at most `limit` hits per key every `windowMs`
+export const createRateLimiter = ({ name, limit, windowMs, store }) => ({
+  async consume(key) {
+    const { count, expiresAt } = await (store || getDefaultStore())
+      .increment(`rl:${name}:${key}`, windowMs);
+
+    return {
+      allowed: count <= limit,
+      remaining: Math.max(0, limit - count),
+      retryAfter: secondsUntil(expiresAt)
+    };
+  },
+
+  reset(key) {
+    return (store || getDefaultStore()).reset(`rl:${name}:${key}`);
+  }
+});
+
+// Progressive lockout for repeated failures on one account. After `threshold`
+// failures within `windowMs` the account is locked for `baseLockMs`, doubling
+// with every further failure up to `maxLockMs`.
+export const createLockout = ({
+  name,
+  threshold = 5,
+  windowMs = 15 * 60 * 1000,
+  baseLockMs = 60 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  store
+}) => {
+  const getStore = () => store || getDefaultStore();
+
+  return {
+    // { locked, retryAfter } for `key`
+    async check(key) {
+      const lock = await getStore().get(`lock:${name}:${key}`);
+      return lock
+        ? { locked: true, retryAfter: secondsUntil(lock.expiresAt) }
+        : { locked: false };
+    },
+
+    async recordFailure(key) {
+      const { count } = await getStore().increment(`fail:${name}:${key}`, windowMs);
+      if (count < threshold) return { locked: false };
+
+      const lockMs = Math.min(baseLockMs * 2 ** (count - threshold), maxLockMs);
+      const lockKey = `lock:${name}:${key}`;
+      // The lock key only carries its expiry, so replace any previous lock
+      await getStore().reset(lockKey);
+      const { expiresAt } = await getStore().increment(lockKey, lockMs);
+      return { locked: true, retryAfter: secondsUntil(expiresAt) };
+    },
+
+    async recordSuccess(key) {
+      await getStore().reset(`fail:${name}:${key}`);
+    }
+  };
+};
+
+export const sendTooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter
+  });
+};
+
+// Express middleware around a limiter; keyed by client IP unless told otherwise
+export const rateLimit = ({
+  limiter,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later.'
+}) => async (req, res, next) => {
+  try {
+    const { allowed, remaining, retryAfter } = await limiter.consume(keyGenerator(req));
+    res.set('X-RateLimit-Remaining', String(remaining));
+
+    if (!allowed) {
+      return sendTooManyRequests(res, retryAfter, message);
+    }
+
+    next();
+  } catch (error) {
+    // Never lock everyone out because the limiter store is unavailable
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
+
+// Socket counterpart: resolves to whether `event` may run for this socket's
+// user, telling the client via `rate:limited` when it may not
+export const allowSocketEvent = async (socket, limiter, event) => {
+  try {
+    const { allowed, retryAfter } = await limiter.consume(socket.userId || socket.id);
+    if (!allowed) {
+      socket.emit('rate:limited', { event, retryAfter });
+    }
+    return allowed;
+  } catch (error) {
+    console.error('Socket rate limit error:', error);
+    return true;
+  }
+};
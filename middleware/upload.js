@@ -0,0 +1,39 @@
+import multer from 'multer';
+
+const AVATAR_MAX_BYTES = parseInt(process.env.AVATAR_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG, WebP and GIF images are allowed');
+      error.status = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('avatar');
+
+// Single `avatar` image field, answering upload problems with the usual JSON
+export const uploadAvatar = (req, res, next) => {
+  avatarUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `Avatar cannot exceed ${Math.round(AVATAR_MAX_BYTES / 1024 / 1024)} MB`
+          : error.message
+      });
+    }
+
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  });
+};
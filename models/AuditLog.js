@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetRoom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatRoom'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+// Record an action taken by the admin on `req`
+auditLogSchema.statics.record = function(req, action, { targetUser, targetRoom, details } = {}) {
+  return this.create({
+    actor: req.user._id,
+    action,
+    targetUser,
+    targetRoom,
+    details,
+    ip: req.ip
+  });
+};
+
+export default mongoose.model('AuditLog', auditLogSchema);
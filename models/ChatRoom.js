@@ -1,11 +1,58 @@
 import mongoose from 'mongoose';
 
+export const MESSAGE_TYPES = ['text', 'system'];
+export const CHAT_MODES = ['text', 'video'];
+// 'pair' rooms come from random matching; 'topic' rooms are public group
+// chats about one interest
+export const ROOM_KINDS = ['pair', 'topic'];
+
 const chatRoomSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ROOM_KINDS,
+    default: 'pair'
+  },
+  // Both partners of a pair room; everyone who ever joined a topic room
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   }],
+  // Topic rooms only
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 60
+  },
+  interest: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  capacity: {
+    type: Number,
+    min: 2,
+    max: 500
+  },
+  // Agreed in matchmaking; video rooms may start WebRTC calls
+  mode: {
+    type: String,
+    enum: CHAT_MODES,
+    default: 'text'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -34,12 +81,154 @@ const chatRoomSchema = new mongoose.Schema({
     },
     type: {
       type: String,
-      enum: ['text', 'system'],
+      enum: MESSAGE_TYPES,
       default: 'text'
+    },
+    // Idempotency key chosen by the sender's client, so retries are not
+    // stored twice
+    clientMessageId: {
+      type: String
+    },
+    // Receipts from the recipient
+    deliveredAt: {
+      type: Date,
+      default: null
+    },
+    seenAt: {
+      type: Date,
+      default: null
     }
   }]
 }, {
   timestamps: true
 });
 
+chatRoomSchema.index({ kind: 1, isActive: 1, interest: 1 });
+
+// What clients receive for a stored message
+export const messagePayload = (message, username) => ({
+  id: message._id.toString(),
+  clientMessageId: message.clientMessageId,
+  userId: message.sender.toString(),
+  username,
+  message: message.message,
+  type: message.type,
+  timestamp: message.timestamp
+});
+
+// Append a message to an active room. Resolves to { entry, duplicate }, or
+// null if the room is not active. A retry carrying a clientMessageId the
+// sender already used resolves to the message stored the first time.
+// `keepLast` caps the stored history of long-lived (topic) rooms.
+chatRoomSchema.statics.addMessage = async function(roomId, {
+  sender,
+  message,
+  type,
+  clientMessageId
+}, { keepLast } = {}) {
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    sender,
+    message,
+    type,
+    clientMessageId,
+    timestamp: new Date()
+  };
+
+  const filter = { _id: roomId, isActive: true };
+  if (clientMessageId) {
+    filter.messages = { $not: { $elemMatch: { sender, clientMessageId } } };
+  }
+
+  const room = await this.findOneAndUpdate(
+    filter,
+    { $push: { messages: keepLast ? { $each: [entry], $slice: -keepLast } : entry } },
+    { new: true, runValidators: true, projection: { _id: 1 } }
+  );
+  if (room) return { entry, duplicate: false };
+  if (!clientMessageId) return null;
+
+  const existing = await this.findOne(
+    { _id: roomId, messages: { $elemMatch: { sender, clientMessageId } } },
+    { 'messages.$': 1 }
+  );
+  return existing ? { entry: existing.messages[0], duplicate: true } : null;
+};
+
+// Record that `readerId` received ('delivered') or read ('seen') messages
+// sent to them. Seen implies delivered. Resolves to the receipt time.
+chatRoomSchema.statics.markMessages = async function(roomId, readerId, messageIds, status) {
+  const at = new Date();
+  const ids = messageIds.map(id => new mongoose.Types.ObjectId(id));
+  const reader = new mongoose.Types.ObjectId(readerId);
+  // Messages among `ids` sent to the reader that lack `field` so far
+  const unmarked = (name, field) => ({
+    [`${name}._id`]: { $in: ids },
+    [`${name}.sender`]: { $ne: reader },
+    [`${name}.${field}`]: null
+  });
+
+  const update = { 'messages.$[delivered].deliveredAt': at };
+  const arrayFilters = [unmarked('delivered', 'deliveredAt')];
+  if (status === 'seen') {
+    update['messages.$[seen].seenAt'] = at;
+    arrayFilters.push(unmarked('seen', 'seenAt'));
+  }
+
+  await this.updateOne(
+    { _id: roomId, participants: reader },
+    { $set: update },
+    { arrayFilters }
+  );
+  return at;
+};
+
+// Messages a member missed: those after `messageId` when the client knows
+// the last one it got, otherwise those sent after `since`
+chatRoomSchema.statics.messagesAfter = async function(roomId, { messageId, since, limit = 200 }) {
+  const room = await this.findById(roomId, { messages: 1 }).lean();
+  if (!room) return [];
+
+  const lastSeen = messageId
+    ? room.messages.findIndex(message => message._id.toString() === messageId)
+    : -1;
+  const missed = lastSeen >= 0
+    ? room.messages.slice(lastSeen + 1)
+    : room.messages.filter(message => message.timestamp > new Date(since || 0));
+
+  return missed.slice(-limit);
+};
+
+// A page of a room's messages, newest last: the `limit` latest ones sent
+// before `before` (or at all)
+chatRoomSchema.statics.messageHistory = async function(roomId, { before, limit = 50 }) {
+  const messages = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(roomId) } },
+    { $unwind: '$messages' },
+    { $replaceRoot: { newRoot: '$messages' } },
+    ...(before ? [{ $match: { timestamp: { $lt: before } } }] : []),
+    { $sort: { timestamp: -1 } },
+    { $limit: limit }
+  ]);
+
+  return messages.reverse();
+};
+
+// Mark a room as finished; a no-op if it was already closed
+chatRoomSchema.statics.close = function(roomId) {
+  return this.updateOne(
+    { _id: roomId, isActive: true },
+    { isActive: false, endedAt: new Date() }
+  );
+};
+
+// Rooms still marked active at startup that no running instance knows about
+// belong to sockets from a previous run
+chatRoomSchema.statics.closeOrphaned = function(liveRoomIds = []) {
+  return this.updateMany(
+    { isActive: true, kind: { $ne: 'topic' }, _id: { $nin: liveRoomIds } },
+    { isActive: false, endedAt: new Date() }
+  );
+};
+
 export default mongoose.model('ChatRoom', chatRoomSchema);
\ No newline at end of file
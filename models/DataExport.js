@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+export const EXPORT_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: EXPORT_STATUSES,
+    default: 'pending'
+  },
+  // GridFS files in the `exports` bucket
+  jsonFileId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  zipFileId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  size: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  // The server instance building the export, which keeps extending the
+  // lease while it works; a job whose lease ran out is picked up again
+  worker: {
+    type: String
+  },
+  leaseExpiresAt: {
+    type: Date
+  },
+  // Archives are only kept for a limited time
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1 });
+
+dataExportSchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    size: this.size,
+    error: this.error,
+    requestedAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+export default mongoose.model('DataExport', dataExportSchema);
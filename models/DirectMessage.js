@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const directMessageSchema = new mongoose.Schema({
+  friendship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Friendship',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Set once the recipient had a connected socket to receive it
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+directMessageSchema.index({ friendship: 1, createdAt: -1 });
+directMessageSchema.index({ recipient: 1, deliveredAt: 1 });
+
+// Fetch everything queued for a user while they were offline and mark it
+// delivered
+directMessageSchema.statics.takeUndelivered = async function(recipient) {
+  const pending = await this.find({ recipient, deliveredAt: null }).sort({ createdAt: 1 });
+
+  if (pending.length > 0) {
+    await this.updateMany(
+      { _id: { $in: pending.map(message => message._id) } },
+      { deliveredAt: new Date() }
+    );
+  }
+
+  return pending;
+};
+
+directMessageSchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    friendshipId: this.friendship,
+    senderId: this.sender,
+    recipientId: this.recipient,
+    message: this.message,
+    timestamp: this.createdAt,
+    delivered: Boolean(this.deliveredAt)
+  };
+};
+
+export default mongoose.model('DirectMessage', directMessageSchema);
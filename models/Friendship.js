@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Canonical key for an unordered pair of user ids
+const pairKeyFor = (userA, userB) =>
+  [userA.toString(), userB.toString()].sort().join('_');
+
+const friendshipSchema = new mongoose.Schema({
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The random chat in which both sides agreed to connect
+  sourceRoom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatRoom'
+  },
+  lastMessageAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+friendshipSchema.index({ users: 1 });
+
+friendshipSchema.statics.pairKeyFor = pairKeyFor;
+
+friendshipSchema.statics.findBetween = function(userA, userB) {
+  return this.findOne({ pairKey: pairKeyFor(userA, userB) });
+};
+
+// Create the friendship if it does not exist yet; returns the document
+friendshipSchema.statics.connect = function(userA, userB, sourceRoom) {
+  return this.findOneAndUpdate(
+    { pairKey: pairKeyFor(userA, userB) },
+    { $setOnInsert: { users: [userA, userB], sourceRoom } },
+    { new: true, upsert: true }
+  );
+};
+
+// The id of the other member of this friendship
+friendshipSchema.methods.otherUser = function(userId) {
+  return this.users.find(id => id.toString() !== userId.toString());
+};
+
+export default mongoose.model('Friendship', friendshipSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Canonical interests. Users store slugs, so matching compares ids rather
+// than whatever spelling someone typed.
+const interestSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Other spellings that resolve to this interest, already slugified
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  category: {
+    type: String,
+    default: 'other',
+    trim: true
+  },
+  // Number of users who list this interest
+  popularity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Offered in the public autocomplete regardless of popularity. True for
+  // the built-in taxonomy; interests users typed in need reviewing first.
+  listed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+interestSchema.index({ aliases: 1 });
+interestSchema.index({ popularity: -1 });
+
+export default mongoose.model('Interest', interestSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only ever held by the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens rotated from the same login share a session id
+  sessionId: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ sessionId: 1 });
+// Let MongoDB drop expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
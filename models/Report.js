@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'nudity',
+  'hate_speech',
+  'underage',
+  'violence',
+  'other'
+];
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatRoom'
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  messageExcerpt: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// One report per reporter and reported user; repeats are deduplicated
+reportSchema.index({ reporter: 1, reportedUser: 1 }, { unique: true });
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+
+export default mongoose.model('Report', reportSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Access tokens revoked before their natural expiry (e.g. on logout)
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Once the token would have expired anyway the entry is useless
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RevokedToken', revokedTokenSchema);
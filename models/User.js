@@ -1,6 +1,21 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+export const GENDERS = ['male', 'female', 'non-binary', 'other'];
+export const MINIMUM_AGE = 18;
+
+// Whole years between `dateOfBirth` and `now`
+export const calculateAge = (dateOfBirth, now = new Date()) => {
+  if (!dateOfBirth) return null;
+
+  const birth = new Date(dateOfBirth);
+  let age = now.getFullYear() - birth.getFullYear();
+  const hadBirthday = now.getMonth() > birth.getMonth()
+    || (now.getMonth() === birth.getMonth() && now.getDate() >= birth.getDate());
+
+  return hadBirthday ? age : age - 1;
+};
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -17,6 +32,19 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // New address waiting for confirmation; `email` changes once it is verified
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -26,6 +54,17 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Every stored thumbnail; `avatar` is the medium one
+  avatarUrls: {
+    small: { type: String, default: null },
+    medium: { type: String, default: null },
+    large: { type: String, default: null }
+  },
+  // Storage keys of the current avatar files, removed on replacement
+  avatarKeys: {
+    type: [String],
+    select: false
+  },
   interests: [{
     type: String,
     trim: true
@@ -34,6 +73,33 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Optional precise position for distance matching; never shown to others
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  dateOfBirth: {
+    type: Date
+  },
+  gender: {
+    type: String,
+    enum: GENDERS
+  },
+  languages: [{
+    type: String,
+    trim: true
+  }],
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Bio cannot exceed 300 characters']
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -51,8 +117,29 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['male', 'female', 'any'],
       default: 'any'
+    },
+    // Only match users within this distance; null means anywhere
+    maxDistanceKm: {
+      type: Number,
+      min: 1,
+      default: null
     }
   },
+  // Never matched with these users, in either direction
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Incremented to invalidate every access token at once
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   reportCount: {
     type: Number,
     default: 0
@@ -60,11 +147,27 @@ const userSchema = new mongoose.Schema({
   isBanned: {
     type: Boolean,
     default: false
+  },
+  // Null for a permanent ban
+  bannedUntil: {
+    type: Date,
+    default: null
+  },
+  banReason: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+userSchema.virtual('age').get(function() {
+  return calculateAge(this.dateOfBirth);
+});
+
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ geoLocation: '2dsphere' }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -91,4 +194,17 @@ userSchema.methods.updateLastSeen = function() {
   return this.save();
 };
 
+// Lift a temporary ban that has run out; resolves to whether the user is
+// still banned
+userSchema.methods.refreshBanStatus = async function() {
+  if (this.isBanned && this.bannedUntil && this.bannedUntil <= new Date()) {
+    this.isBanned = false;
+    this.bannedUntil = null;
+    this.banReason = null;
+    await this.save();
+  }
+
+  return this.isBanned;
+};
+
 export default mongoose.model('User', userSchema);
\ No newline at end of file
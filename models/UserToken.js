@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { hashToken } from '../utils/hashToken.js';
+
+export const USER_TOKEN_TYPES = ['email-verification', 'email-change', 'password-reset'];
+
+// Single-use, expiring tokens mailed to users. Only a hash is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: USER_TOKEN_TYPES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ user: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a token, replacing any outstanding one of the same type, and
+// resolve to the raw value to be mailed
+userTokenSchema.statics.issue = async function(userId, type, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user: userId, type, usedAt: null });
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Mark a token used and resolve to its user id, or null if it is unknown,
+// expired or already used
+userTokenSchema.statics.consume = async function(token, type) {
+  const entry = await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() }
+  );
+
+  return entry ? entry.user : null;
+};
+
+export default mongoose.model('UserToken', userTokenSchema);
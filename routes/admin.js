@@ -0,0 +1,125 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  searchUsers,
+  getUser,
+  getUserReports,
+  getUserChats,
+  getChatTranscript,
+  banUser,
+  unbanUser,
+  forceDisconnect,
+  setRole,
+  getAuditLog
+} from '../controllers/adminController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Everything below requires an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+// Validation rules
+const userIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user id')
+];
+
+const searchValidation = [
+  query('q')
+    .optional()
+    .isString()
+    .withMessage('Search must be a string')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('banned')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('banned must be true or false'),
+  query('role')
+    .optional()
+    .isIn(['user', 'admin'])
+    .withMessage('Invalid role')
+];
+
+const banValidation = [
+  ...userIdValidation,
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A ban reason of at most 500 characters is required'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future')
+];
+
+const unbanValidation = [
+  ...userIdValidation,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('resetReports')
+    .optional()
+    .isBoolean()
+    .withMessage('resetReports must be a boolean')
+    .toBoolean()
+];
+
+const disconnectValidation = [
+  ...userIdValidation,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const roleValidation = [
+  ...userIdValidation,
+  body('role')
+    .isIn(['user', 'admin'])
+    .withMessage('Role must be user or admin')
+];
+
+const auditLogValidation = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor id'),
+  query('targetUser')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target user id'),
+  query('action')
+    .optional()
+    .isString()
+    .withMessage('Action must be a string')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Action cannot exceed 100 characters')
+];
+
+// Routes
+router.get('/users', searchValidation, searchUsers);
+router.get('/users/:userId', userIdValidation, getUser);
+router.get('/users/:userId/reports', userIdValidation, getUserReports);
+router.get('/users/:userId/chats', userIdValidation, getUserChats);
+router.post('/users/:userId/ban', banValidation, banUser);
+router.post('/users/:userId/unban', unbanValidation, unbanUser);
+router.post('/users/:userId/disconnect', disconnectValidation, forceDisconnect);
+router.put('/users/:userId/role', roleValidation, setRole);
+router.get('/chats/:roomId', [
+  param('roomId')
+    .isMongoId()
+    .withMessage('Invalid room id')
+], getChatTranscript);
+router.get('/audit-log', auditLogValidation, getAuditLog);
+
+export default router;
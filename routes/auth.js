@@ -4,14 +4,78 @@ import {
   register, 
   login, 
   logout, 
+  logoutAll,
+  refresh,
   getProfile, 
-  updateProfile 
+  updateProfile,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  changeEmail,
+  deleteAccount,
+  uploadAvatar,
+  deleteAvatar
 } from '../controllers/authController.js';
 import { authenticate } from '../middleware/auth.js';
+import { GENDERS, MINIMUM_AGE, calculateAge } from '../models/User.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { uploadAvatar as avatarUpload } from '../middleware/upload.js';
+import {
+  loginIpLimiter,
+  registerIpLimiter,
+  passwordResetIpLimiter,
+  resendVerificationLimiter,
+  emailChangeLimiter,
+  avatarUploadLimiter
+} from '../config/rateLimits.js';
 
 const router = express.Router();
 
 // Validation rules
+const profileFieldValidation = [
+  body('interests')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Interests must be an array of at most 20 entries'),
+  body('interests.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 40 })
+    .withMessage('Each interest must be between 1 and 40 characters')
+    .matches(/[\p{L}\p{N}]/u)
+    .withMessage('Each interest must contain a letter or digit'),
+  body('gender')
+    .optional()
+    .isIn(GENDERS)
+    .withMessage(`Gender must be one of: ${GENDERS.join(', ')}`),
+  body('languages')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Languages must be an array of at most 10 entries'),
+  body('languages.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each language must be between 1 and 30 characters'),
+  body('bio')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Bio cannot exceed 300 characters')
+];
+
+const dateOfBirthValidation = (field) => field
+  .isISO8601({ strict: true })
+  .withMessage('Date of birth must be a valid date')
+  .bail()
+  .custom(value => calculateAge(value) >= MINIMUM_AGE)
+  .withMessage(`You must be at least ${MINIMUM_AGE} years old`)
+  .custom(value => calculateAge(value) <= 120)
+  .withMessage('Please enter a valid date of birth');
+
 const registerValidation = [
   body('username')
     .trim()
@@ -25,7 +89,12 @@ const registerValidation = [
     .withMessage('Please enter a valid email'),
   body('password')
     .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
+    .withMessage('Password must be at least 6 characters long'),
+  dateOfBirthValidation(body('dateOfBirth')
+    .exists({ values: 'falsy' })
+    .withMessage('Date of birth is required')
+    .bail()),
+  ...profileFieldValidation
 ];
 
 const loginValidation = [
@@ -38,6 +107,59 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const tokenValidation = [
+  body('token')
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+];
+
+const resetPasswordValidation = [
+  ...tokenValidation,
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const changeEmailValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
 const updateProfileValidation = [
   body('username')
     .optional()
@@ -46,22 +168,85 @@ const updateProfileValidation = [
     .withMessage('Username must be between 3 and 20 characters')
     .matches(/^[a-zA-Z0-9_]+$/)
     .withMessage('Username can only contain letters, numbers, and underscores'),
-  body('interests')
-    .optional()
-    .isArray()
-    .withMessage('Interests must be an array'),
   body('location')
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Location cannot exceed 100 characters')
+    .withMessage('Location cannot exceed 100 characters'),
+  dateOfBirthValidation(body('dateOfBirth').optional()),
+  ...profileFieldValidation,
+  body('preferences.gender')
+    .optional()
+    .isIn(['male', 'female', 'any'])
+    .withMessage('Preferred gender must be male, female or any'),
+  body('preferences.ageRange.min')
+    .optional()
+    .isInt({ min: MINIMUM_AGE, max: 120 })
+    .withMessage(`Minimum preferred age must be between ${MINIMUM_AGE} and 120`)
+    .toInt(),
+  body('preferences.ageRange.max')
+    .optional()
+    .isInt({ min: MINIMUM_AGE, max: 120 })
+    .withMessage(`Maximum preferred age must be between ${MINIMUM_AGE} and 120`)
+    .toInt(),
+  body('preferences.maxDistanceKm')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 20000 })
+    .withMessage('Maximum distance must be between 1 and 20000 km')
+    .toInt(),
+  body('coordinates')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Coordinates must be an object with latitude and longitude'),
+  body('coordinates.latitude')
+    .if(body('coordinates').exists({ values: 'null' }))
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('coordinates.longitude')
+    .if(body('coordinates').exists({ values: 'null' }))
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat()
 ];
 
 // Routes
-router.post('/register', registerValidation, register);
-router.post('/login', loginValidation, login);
+router.post('/register', rateLimit({
+  limiter: registerIpLimiter,
+  message: 'Too many accounts created from this IP, please try again later.'
+}), registerValidation, register);
+router.post('/login', rateLimit({
+  limiter: loginIpLimiter,
+  message: 'Too many login attempts, please try again later.'
+}), loginValidation, login);
+router.post('/refresh', refreshValidation, refresh);
 router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.post('/verify-email', tokenValidation, verifyEmail);
+router.post('/resend-verification', authenticate, rateLimit({
+  limiter: resendVerificationLimiter,
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many verification emails requested, please try again later.'
+}), resendVerification);
+router.post('/forgot-password', rateLimit({
+  limiter: passwordResetIpLimiter,
+  message: 'Too many password reset requests, please try again later.'
+}), forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
 router.get('/profile', authenticate, getProfile);
 router.put('/profile', authenticate, updateProfileValidation, updateProfile);
+router.post('/avatar', authenticate, rateLimit({
+  limiter: avatarUploadLimiter,
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many avatar uploads, please try again later.'
+}), avatarUpload, uploadAvatar);
+router.delete('/avatar', authenticate, deleteAvatar);
+router.put('/password', authenticate, changePasswordValidation, changePassword);
+router.put('/email', authenticate, rateLimit({
+  limiter: emailChangeLimiter,
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many email change requests, please try again later.'
+}), changeEmailValidation, changeEmail);
+router.delete('/account', authenticate, deleteAccountValidation, deleteAccount);
 
 export default router;
\ No newline at end of file
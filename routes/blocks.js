@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  getBlockedUsers,
+  block,
+  unblock
+} from '../controllers/blockController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Routes
+router.get('/', authenticate, getBlockedUsers);
+router.post('/', authenticate, block);
+router.delete('/:userId', authenticate, unblock);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  createExport,
+  listExports,
+  getExport,
+  downloadExport
+} from '../controllers/exportController.js';
+import { authenticate } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { exportLimiter } from '../config/rateLimits.js';
+
+const router = express.Router();
+
+// Routes
+router.post('/', authenticate, rateLimit({
+  limiter: exportLimiter,
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many data export requests, please try again later.'
+}), createExport);
+router.get('/', authenticate, listExports);
+router.get('/:exportId', authenticate, getExport);
+router.get('/:exportId/download', authenticate, downloadExport);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  getFriends,
+  getConversation,
+  removeFriend
+} from '../controllers/friendController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Routes
+router.get('/', authenticate, getFriends);
+router.get('/:friendId/messages', authenticate, getConversation);
+router.delete('/:friendId', authenticate, removeFriend);
+
+export default router;
@@ -0,0 +1,82 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import Interest from '../models/Interest.js';
+import { searchInterests, publicInterestFilter } from '../services/interests.js';
+
+const router = express.Router();
+
+// Autocomplete interests, ranked by how many users have them. Public, so the
+// sign-up form can use it.
+router.get('/', [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Search cannot exceed 50 characters'),
+  query('category')
+    .optional()
+    .isString()
+    .trim(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, category, limit } = req.query;
+    const interests = await searchInterests({ q, category, limit });
+
+    res.json({
+      success: true,
+      interests: interests.map(interest => ({
+        id: interest.slug,
+        name: interest.name,
+        category: interest.category,
+        popularity: interest.popularity
+      }))
+    });
+
+  } catch (error) {
+    console.error('Search interests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching interests'
+    });
+  }
+});
+
+// Categories with their interest counts
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await Interest.aggregate([
+      { $match: publicInterestFilter() },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      categories: categories.map(({ _id, count }) => ({ name: _id, count }))
+    });
+
+  } catch (error) {
+    console.error('Interest categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching interest categories'
+    });
+  }
+});
+
+export default router;
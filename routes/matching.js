@@ -1,6 +1,16 @@
 import express from 'express';
-import User from '../models/User.js';
+import mongoose from 'mongoose';
+import User, { calculateAge } from '../models/User.js';
 import { authenticate } from '../middleware/auth.js';
+import {
+  getCommonInterests,
+  preferenceCriteria,
+  preferencesCompatible,
+  toMatchProfile
+} from '../services/matchmaking.js';
+import { distanceKm, distanceBucket, pointOf } from '../services/geo.js';
+import { blockCriteria } from '../services/blocks.js';
+import { getRecentPartnerIds } from '../services/recentPartners.js';
 
 const router = express.Router();
 
@@ -11,32 +21,41 @@ router.get('/find', authenticate, async (req, res) => {
     
     // Build match criteria
     const matchCriteria = {
-      _id: { $ne: currentUser._id }, // Exclude current user
+      ...blockCriteria(currentUser), // Exclude current user and blocked pairs
+      ...preferenceCriteria(currentUser), // Both sides' age/gender preferences
       isOnline: true,
       isBanned: false
     };
 
     // Find users with similar interests
     let potentialMatches = await User.find(matchCriteria)
-      .select('-password -email')
+      .select('-password -email -blockedUsers')
       .limit(50);
 
+    // Their distance limits must accept us too
+    const me = toMatchProfile(currentUser);
+    potentialMatches = potentialMatches.filter(user =>
+      preferencesCompatible(me, toMatchProfile(user))
+    );
+
     // Score matches based on common interests
     const scoredMatches = potentialMatches.map(user => {
-      const commonInterests = user.interests.filter(interest => 
-        currentUser.interests.includes(interest)
-      );
+      const commonInterests = getCommonInterests(user.interests, currentUser.interests);
       
       return {
         user,
         score: commonInterests.length,
-        commonInterests
+        commonInterests,
+        distanceKm: distanceKm(pointOf(currentUser), pointOf(user))
       };
     });
 
-    // Sort by score (most common interests first) and randomize ties
+    // Sort by score (most common interests first), nearest first on equal
+    // scores, and randomize the remaining ties
     scoredMatches.sort((a, b) => {
       if (b.score === a.score) {
+        const nearer = (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity);
+        if (nearer) return nearer;
         return Math.random() - 0.5; // Randomize equal scores
       }
       return b.score - a.score;
@@ -49,7 +68,12 @@ router.get('/find', authenticate, async (req, res) => {
       interests: match.user.interests,
       location: match.user.location,
       avatar: match.user.avatar,
+      age: match.user.age,
+      gender: match.user.gender,
+      languages: match.user.languages,
+      bio: match.user.bio,
       commonInterests: match.commonInterests,
+      distance: distanceBucket(match.distanceKm),
       score: match.score
     }));
 
@@ -73,17 +97,39 @@ router.get('/random', authenticate, async (req, res) => {
     const currentUser = req.user;
     
     const matchCriteria = {
-      _id: { $ne: currentUser._id },
+      ...blockCriteria(currentUser),
+      ...preferenceCriteria(currentUser),
       isOnline: true,
       isBanned: false
     };
 
-    // Get random user using aggregation
-    const randomMatches = await User.aggregate([
-      { $match: matchCriteria },
-      { $sample: { size: 1 } },
-      { $project: { password: 0, email: 0 } }
-    ]);
+    // Get random user using aggregation. A few are sampled because the
+    // candidates' own distance limits can only be checked afterwards.
+    const me = toMatchProfile(currentUser);
+    const sampleUser = async (criteria) => {
+      const sampled = await User.aggregate([
+        { $match: criteria },
+        { $sample: { size: 10 } },
+        { $project: { password: 0, email: 0, blockedUsers: 0 } }
+      ]);
+      return sampled
+        .filter(user => preferencesCompatible(me, toMatchProfile(user)))
+        .slice(0, 1);
+    };
+
+    // Prefer someone new; repeat a recent partner only if nobody else is online
+    const recentPartners = Array.from(
+      await getRecentPartnerIds(currentUser._id),
+      id => new mongoose.Types.ObjectId(id)
+    );
+    let randomMatches = await sampleUser({
+      ...matchCriteria,
+      _id: { ...matchCriteria._id, $nin: [...matchCriteria._id.$nin, ...recentPartners] }
+    });
+    const isRepeat = randomMatches.length === 0 && recentPartners.length > 0;
+    if (isRepeat) {
+      randomMatches = await sampleUser(matchCriteria);
+    }
 
     if (randomMatches.length === 0) {
       return res.json({
@@ -93,9 +139,7 @@ router.get('/random', authenticate, async (req, res) => {
     }
 
     const match = randomMatches[0];
-    const commonInterests = match.interests.filter(interest => 
-      currentUser.interests.includes(interest)
-    );
+    const commonInterests = getCommonInterests(match.interests, currentUser.interests);
 
     res.json({
       success: true,
@@ -105,7 +149,13 @@ router.get('/random', authenticate, async (req, res) => {
         interests: match.interests,
         location: match.location,
         avatar: match.avatar,
-        commonInterests
+        age: calculateAge(match.dateOfBirth),
+        gender: match.gender,
+        languages: match.languages,
+        bio: match.bio,
+        commonInterests,
+        distance: distanceBucket(distanceKm(pointOf(currentUser), pointOf(match))),
+        isRecentPartner: isRepeat
       }
     });
 
@@ -0,0 +1,40 @@
+import express from 'express';
+import { countOnlineUsers, countSockets } from '../services/presence.js';
+import { countRooms } from '../services/roomRegistry.js';
+
+const router = express.Router();
+
+// Live activity across all instances. Public, like the users:count broadcast.
+router.get('/stats', async (req, res) => {
+  try {
+    const matchmaker = req.app.get('matchmaker');
+    const [online, connections, searching, queues, chats] = await Promise.all([
+      countOnlineUsers(),
+      countSockets(),
+      matchmaker?.size() ?? 0,
+      matchmaker?.sizeByMode() ?? {},
+      countRooms()
+    ]);
+
+    res.json({
+      success: true,
+      stats: {
+        online,
+        connections,
+        searching,
+        queues,
+        inChat: chats * 2,
+        chats
+      }
+    });
+
+  } catch (error) {
+    console.error('Presence stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching presence stats'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { createReport } from '../controllers/reportController.js';
+import { authenticate } from '../middleware/auth.js';
+import { REPORT_REASONS } from '../models/Report.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { reportLimiter } from '../config/rateLimits.js';
+
+const router = express.Router();
+
+// Validation rules
+const reportValidation = [
+  body('reportedUserId')
+    .isMongoId()
+    .withMessage('A valid reported user id is required'),
+  body('roomId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room id'),
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot exceed 1000 characters'),
+  body('messageExcerpt')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message excerpt cannot exceed 500 characters')
+];
+
+// Routes
+router.post('/', authenticate, rateLimit({
+  limiter: reportLimiter,
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many reports, please try again later.'
+}), reportValidation, createReport);
+
+export default router;
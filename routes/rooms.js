@@ -0,0 +1,91 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  listRooms,
+  createRoom,
+  getRoom,
+  getRoomMessages,
+  closeRoom,
+  addModerator,
+  removeModerator
+} from '../controllers/roomController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation rules
+const roomIdValidation = [
+  param('roomId')
+    .isMongoId()
+    .withMessage('Invalid room id')
+];
+
+const listValidation = [
+  query('interest')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Interest cannot exceed 50 characters'),
+  query('all')
+    .optional()
+    .isBoolean()
+    .withMessage('all must be true or false')
+    .toBoolean()
+];
+
+const createValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 60 })
+    .withMessage('Name must be between 3 and 60 characters'),
+  body('interest')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Interest is required and cannot exceed 50 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Description cannot exceed 300 characters'),
+  body('capacity')
+    .optional()
+    .isInt({ min: 2, max: 500 })
+    .withMessage('Capacity must be between 2 and 500')
+    .toInt()
+];
+
+const messagesValidation = [
+  ...roomIdValidation,
+  query('before')
+    .optional()
+    .isISO8601()
+    .withMessage('before must be a date')
+    .toDate(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+const moderatorValidation = [
+  ...roomIdValidation,
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user id')
+];
+
+// Routes
+router.get('/', authenticate, listValidation, listRooms);
+router.post('/', authenticate, createValidation, createRoom);
+router.get('/:roomId', authenticate, roomIdValidation, getRoom);
+router.get('/:roomId/messages', authenticate, messagesValidation, getRoomMessages);
+router.delete('/:roomId', authenticate, roomIdValidation, closeRoom);
+router.put('/:roomId/moderators/:userId', authenticate, moderatorValidation, addModerator);
+router.delete('/:roomId/moderators/:userId', authenticate, moderatorValidation, removeModerator);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { getIceServers } from '../services/webrtc.js';
+
+const router = express.Router();
+
+// STUN/TURN servers for RTCPeerConnection. TURN credentials expire after
+// `ttl` seconds, so clients fetch this before each call.
+router.get('/ice-servers', authenticate, (req, res) => {
+  try {
+    const { iceServers, ttl } = getIceServers(req.user._id.toString());
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      iceServers,
+      ttl
+    });
+
+  } catch (error) {
+    console.error('ICE servers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching ICE servers'
+    });
+  }
+});
+
+export default router;
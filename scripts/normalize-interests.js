@@ -0,0 +1,44 @@
+// One-off migration: rewrite every user's free-form interests as canonical
+// slugs and rebuild the popularity counts. Safe to run more than once.
+//
+//   npm run migrate:interests
+
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+import Interest from '../models/Interest.js';
+import { seedInterestTaxonomy, resolveInterests } from '../services/interests.js';
+
+const run = async () => {
+  await connectDB();
+  await seedInterestTaxonomy();
+
+  let updated = 0;
+  for await (const user of User.find({ 'interests.0': { $exists: true } }).select('interests')) {
+    const slugs = await resolveInterests(user.interests);
+    if (slugs.join() !== user.interests.join()) {
+      await User.updateOne({ _id: user._id }, { interests: slugs });
+      updated += 1;
+    }
+  }
+
+  const counts = await User.aggregate([
+    { $unwind: '$interests' },
+    { $group: { _id: '$interests', count: { $sum: 1 } } }
+  ]);
+  await Interest.updateMany({}, { popularity: 0 });
+  if (counts.length > 0) {
+    await Interest.bulkWrite(counts.map(({ _id, count }) => ({
+      updateOne: { filter: { slug: _id }, update: { popularity: count } }
+    })));
+  }
+
+  console.log(`Normalized interests for ${updated} user(s)`);
+};
+
+run()
+  .catch(error => {
+    console.error('Interest migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
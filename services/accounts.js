@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import ChatRoom from '../models/ChatRoom.js';
+import Friendship from '../models/Friendship.js';
+import DirectMessage from '../models/DirectMessage.js';
+import RefreshToken from '../models/RefreshToken.js';
+import UserToken from '../models/UserToken.js';
+import DataExport from '../models/DataExport.js';
+import { removeAvatarFiles } from './avatars.js';
+import { updateInterestPopularity } from './interests.js';
+import { removeExportFiles } from './dataExport.js';
+
+// Stands in for deleted users in chat history that other people still own
+export const DELETED_USER_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+// Remove a user and everything that identifies them. Chat transcripts stay
+// (the other participant and moderators may still need them) but their
+// messages and participation are re-attributed to DELETED_USER_ID.
+export const deleteAccount = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId.toString());
+
+  await ChatRoom.updateMany(
+    { 'messages.sender': id },
+    { $set: { 'messages.$[mine].sender': DELETED_USER_ID } },
+    { arrayFilters: [{ 'mine.sender': id }] }
+  );
+  await ChatRoom.updateMany(
+    { participants: id },
+    { $set: { 'participants.$': DELETED_USER_ID } }
+  );
+  // Topic rooms close with their owner
+  await ChatRoom.updateMany(
+    { kind: 'topic', owner: id },
+    { $set: { owner: DELETED_USER_ID, isActive: false, endedAt: new Date() } }
+  );
+  await ChatRoom.updateMany({ moderators: id }, { $pull: { moderators: id } });
+
+  // Friend conversations belong to the friendship, so they go with it
+  const friendships = await Friendship.find({ users: id }).select('_id');
+  const friendshipIds = friendships.map(friendship => friendship._id);
+  await DirectMessage.deleteMany({ friendship: { $in: friendshipIds } });
+  await Friendship.deleteMany({ _id: { $in: friendshipIds } });
+
+  await RefreshToken.deleteMany({ user: id });
+  await UserToken.deleteMany({ user: id });
+  const user = await User.findById(id).select('+avatarKeys');
+  await removeAvatarFiles(user?.avatarKeys);
+  await updateInterestPopularity(user?.interests, []);
+
+  const exports = await DataExport.find({ user: id });
+  await Promise.all(exports.map(removeExportFiles));
+  await DataExport.deleteMany({ user: id });
+
+  await User.updateMany({ blockedUsers: id }, { $pull: { blockedUsers: id } });
+
+  await User.deleteOne({ _id: id });
+};
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorage } from './storage.js';
+
+// Square thumbnails generated for every avatar (pixels)
+export const AVATAR_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512
+};
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Small files can still declare huge dimensions; refuse to decode those
+const MAX_INPUT_PIXELS = parseInt(process.env.AVATAR_MAX_PIXELS, 10) || 4096 * 4096;
+
+// Resize an uploaded image into every avatar size and store the results.
+// Resolves to { urls, keys } or { error } if the file is not a usable image.
+export const storeAvatar = async (userId, buffer) => {
+  let metadata;
+  try {
+    // Trust the image header, not the client-supplied mimetype. Reading it
+    // does not decode the pixels.
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: 'File is not a valid image' };
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    return { error: `Image must be one of: ${ALLOWED_FORMATS.join(', ')}` };
+  }
+
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    return { error: 'Image dimensions are too large' };
+  }
+
+  // Decode the upload once, into the largest size; the others are scaled
+  // down from that
+  const largest = Math.max(...Object.values(AVATAR_SIZES));
+  let base;
+  try {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate() // apply EXIF orientation before metadata is stripped
+      .resize(largest, largest, { fit: 'cover' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    base = sharp(data, { raw: info });
+  } catch (error) {
+    return { error: 'File is not a valid image' };
+  }
+
+  const storage = getStorage();
+  const id = crypto.randomBytes(8).toString('hex');
+  const urls = {};
+  const keys = [];
+
+  for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+    const key = `avatars/${userId}/${id}-${name}.webp`;
+    const resized = await base.clone()
+      .resize(size, size, { fit: 'cover' })
+      .webp({ quality: 85 })
+      .toBuffer();
+
+    await storage.save(key, resized, 'image/webp');
+    urls[name] = storage.url(key);
+    keys.push(key);
+  }
+
+  return { urls, keys };
+};
+
+export const removeAvatarFiles = (keys = []) => {
+  const storage = getStorage();
+  return Promise.all(keys.map(key => storage.remove(key)));
+};
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+// Whether either user has blocked the other
+export const isBlockedEitherWay = async (userA, userB) => {
+  const block = await User.exists({
+    $or: [
+      { _id: userA, blockedUsers: userB },
+      { _id: userB, blockedUsers: userA }
+    ]
+  });
+  return Boolean(block);
+};
+
+// Mongo criteria excluding everyone `user` blocked or was blocked by
+export const blockCriteria = (user) => ({
+  _id: { $ne: user._id, $nin: user.blockedUsers || [] },
+  blockedUsers: { $ne: user._id }
+});
+
+// Resolves to { blocked: true } or { status, message } if rejected
+export const blockUser = async (userId, targetId) => {
+  if (!mongoose.isValidObjectId(targetId)) {
+    return { status: 400, message: 'Invalid user id' };
+  }
+
+  if (userId.toString() === targetId.toString()) {
+    return { status: 400, message: 'You cannot block yourself' };
+  }
+
+  if (!await User.exists({ _id: targetId })) {
+    return { status: 404, message: 'User not found' };
+  }
+
+  await User.updateOne({ _id: userId }, { $addToSet: { blockedUsers: targetId } });
+  return { blocked: true };
+};
+
+export const unblockUser = async (userId, targetId) => {
+  await User.updateOne({ _id: userId }, { $pull: { blockedUsers: targetId } });
+};
@@ -0,0 +1,216 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import archiver from 'archiver';
+import User from '../models/User.js';
+import ChatRoom from '../models/ChatRoom.js';
+import Friendship from '../models/Friendship.js';
+import DirectMessage from '../models/DirectMessage.js';
+import Report from '../models/Report.js';
+import RefreshToken from '../models/RefreshToken.js';
+import AuditLog from '../models/AuditLog.js';
+import DataExport from '../models/DataExport.js';
+
+// Personal data exports are built in the background, one at a time, and
+// stored as a JSON file plus a zip of it in GridFS, so whichever instance a
+// download request reaches can serve them.
+
+const EXPORT_TTL_DAYS = parseInt(process.env.EXPORT_TTL_DAYS, 10) || 7;
+const LEASE_MS = 2 * 60 * 1000;
+export const EXPORT_RECLAIM_INTERVAL_MS = LEASE_MS;
+
+// Identifies this instance as the worker of the jobs it claims
+const WORKER_ID = crypto.randomUUID();
+
+// Everything we hold about `userId`. Other people's data is left out: chats
+// only contain the user's own messages, reports against them omit the reporter.
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select('-password -tokenVersion')
+    .populate('blockedUsers', 'username')
+    .lean();
+
+  const rooms = await ChatRoom.find({ participants: userId })
+    .sort({ startedAt: 1 })
+    .lean();
+
+  const friendships = await Friendship.find({ users: userId })
+    .populate('users', 'username')
+    .lean();
+
+  const directMessages = await DirectMessage.find({
+    $or: [{ sender: userId }, { recipient: userId }]
+  }).sort({ createdAt: 1 }).lean();
+
+  const [reportsFiled, reportsReceived, sessions, moderationActions, exports] = await Promise.all([
+    Report.find({ reporter: userId }).populate('reportedUser', 'username').lean(),
+    Report.find({ reportedUser: userId }).select('reason room createdAt').lean(),
+    RefreshToken.find({ user: userId }).select('createdByIp userAgent createdAt expiresAt revokedAt').lean(),
+    AuditLog.find({ targetUser: userId }).select('action details createdAt').lean(),
+    DataExport.find({ user: userId }).select('status createdAt completedAt').lean()
+  ]);
+
+  const usernameOf = (friendship, id) =>
+    friendship?.users.find(member => member && member._id.equals(id))?.username;
+  const friendshipById = new Map(friendships.map(friendship => [friendship._id.toString(), friendship]));
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      ...user,
+      blockedUsers: (user.blockedUsers || []).map(blocked => blocked.username)
+    },
+    chats: rooms.map(room => ({
+      id: room._id,
+      startedAt: room.startedAt,
+      endedAt: room.endedAt,
+      totalMessages: room.messages.length,
+      myMessages: room.messages
+        .filter(message => message.sender.equals(userId))
+        .map(({ message, type, timestamp }) => ({ message, type, timestamp }))
+    })),
+    friends: friendships.map(friendship => ({
+      username: friendship.users.find(member => member && !member._id.equals(userId))?.username,
+      since: friendship.createdAt
+    })),
+    directMessages: directMessages.map(message => {
+      const friendship = friendshipById.get(message.friendship.toString());
+      const sent = message.sender.equals(userId);
+      return {
+        direction: sent ? 'sent' : 'received',
+        with: usernameOf(friendship, sent ? message.recipient : message.sender),
+        message: message.message,
+        timestamp: message.createdAt
+      };
+    }),
+    reportsFiled: reportsFiled.map(report => ({
+      reportedUser: report.reportedUser?.username,
+      reason: report.reason,
+      details: report.details,
+      messageExcerpt: report.messageExcerpt,
+      room: report.room,
+      createdAt: report.createdAt
+    })),
+    reportsReceived,
+    sessions,
+    moderationActions,
+    exports
+  };
+};
+
+const exportBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'exports' });
+
+// Store what `write(upload, fail)` writes under `filename`. Resolves to
+// the file id.
+const uploadFile = (filename, write) => new Promise((resolve, reject) => {
+  const upload = exportBucket().openUploadStream(filename);
+  upload.on('finish', () => resolve(upload.id));
+  upload.on('error', reject);
+  write(upload, reject);
+});
+
+const uploadZip = (filename, entryName, content) => {
+  let size = 0;
+  return uploadFile(filename, (upload, fail) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', fail);
+    archive.on('end', () => { size = archive.pointer(); });
+    archive.pipe(upload);
+    archive.append(content, { name: entryName });
+    archive.finalize();
+  }).then(id => ({ id, size }));
+};
+
+// A readable stream of the export's file in `format` ('json' or 'zip'), or
+// null if the file is gone
+export const openExportFile = async (job, format) => {
+  const fileId = format === 'json' ? job.jsonFileId : job.zipFileId;
+  const bucket = exportBucket();
+  if (!fileId || !await bucket.find({ _id: fileId }).hasNext()) return null;
+  return bucket.openDownloadStream(fileId);
+};
+
+export const removeExportFiles = async (job) => {
+  const fileIds = [job.jsonFileId, job.zipFileId].filter(Boolean);
+  await Promise.all(fileIds.map(id => exportBucket().delete(id).catch(error => {
+    // Already gone is fine
+    if (!/FileNotFound/i.test(error.message)) throw error;
+  })));
+};
+
+const processExport = async (exportId) => {
+  const lease = () => new Date(Date.now() + LEASE_MS);
+  const job = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { status: 'processing', worker: WORKER_ID, leaseExpiresAt: lease() },
+    { new: true }
+  );
+  if (!job) return;
+
+  const renewal = setInterval(() => {
+    DataExport.updateOne({ _id: job._id, worker: WORKER_ID }, { leaseExpiresAt: lease() })
+      .catch(error => console.error('Data export lease error:', error));
+  }, LEASE_MS / 3);
+
+  try {
+    const data = JSON.stringify(await collectUserData(job.user), null, 2);
+    const name = `monkeychat-data-${job._id}`;
+
+    const jsonFileId = await uploadFile(`${name}.json`, upload => upload.end(data));
+    const { id: zipFileId, size } = await uploadZip(`${name}.zip`, `${name}.json`, data);
+
+    job.set({ status: 'completed', jsonFileId, zipFileId, size, completedAt: new Date() });
+    await job.save();
+  } catch (error) {
+    console.error('Data export error:', error);
+    job.set({ status: 'failed', error: 'Export could not be generated' });
+    await job.save();
+  } finally {
+    clearInterval(renewal);
+  }
+};
+
+// Jobs run sequentially so a burst of requests cannot starve the server
+let queue = Promise.resolve();
+
+const schedule = (exportId) => {
+  queue = queue
+    .then(() => processExport(exportId))
+    .catch(error => console.error('Data export job error:', error));
+};
+
+// Create an export job for the user, or return the one already in flight
+export const requestExport = async (userId) => {
+  const running = await DataExport.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] }
+  });
+  if (running) return running;
+
+  const job = await DataExport.create({
+    user: userId,
+    expiresAt: new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  schedule(job._id);
+  return job;
+};
+
+// Pick up pending jobs, and jobs whose worker stopped (its lease ran out)
+// without finishing them. Jobs other live instances are building are left
+// alone. Runs at startup and every EXPORT_RECLAIM_INTERVAL_MS.
+export const resumeExports = async () => {
+  await DataExport.updateMany(
+    { status: 'processing', leaseExpiresAt: { $not: { $gt: new Date() } } },
+    { status: 'pending', $unset: { worker: 1, leaseExpiresAt: 1 } }
+  );
+  const pending = await DataExport.find({ status: 'pending' }).select('_id');
+  pending.forEach(job => schedule(job._id));
+};
+
+export const cleanupExpiredExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } });
+  for (const job of expired) {
+    await removeExportFiles(job);
+    await job.deleteOne();
+  }
+};
@@ -0,0 +1,51 @@
+// Distance helpers. Points are GeoJSON order: [longitude, latitude].
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Shown to other users instead of exact distances or coordinates
+const DISTANCE_BUCKETS = [
+  { maxKm: 1, label: '< 1 km' },
+  { maxKm: 5, label: '< 5 km' },
+  { maxKm: 25, label: '< 25 km' },
+  { maxKm: 100, label: '< 100 km' },
+  { maxKm: 500, label: '< 500 km' }
+];
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in km, or null if either point is unknown
+export const distanceKm = (a, b) => {
+  if (!a?.length || !b?.length) return null;
+
+  const [lng1, lat1] = a;
+  const [lng2, lat2] = b;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+export const distanceBucket = (km) => {
+  if (km === null || km === undefined) return null;
+  return DISTANCE_BUCKETS.find(bucket => km < bucket.maxKm)?.label || '500+ km';
+};
+
+// Mongo criteria for documents whose `field` lies within `km` of `point`
+export const withinCriteria = (field, point, km) => ({
+  [field]: {
+    $geoWithin: { $centerSphere: [point, km / EARTH_RADIUS_KM] }
+  }
+});
+
+// Coordinates of a user document, if they shared any
+export const pointOf = (user) => user?.geoLocation?.coordinates?.length === 2
+  ? user.geoLocation.coordinates
+  : null;
+
+// The user's own position as { latitude, longitude }, for their profile only
+export const coordinatesOf = (user) => {
+  const point = pointOf(user);
+  return point ? { latitude: point[1], longitude: point[0] } : null;
+};
@@ -0,0 +1,120 @@
+import Interest from '../models/Interest.js';
+import seedInterests from '../config/interests.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+
+// "Video Games!" -> "video-games", "Café" -> "cafe", "日本 アニメ" -> "日本-アニメ".
+// Letters of any script are kept; only Latin accents are folded away.
+export const toSlug = (text) => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '');
+
+// User-created interests only show up in autocomplete once this many users
+// have them (or after review), so one person cannot publish arbitrary text
+const SUGGEST_MIN_USERS = parseInt(process.env.INTEREST_SUGGEST_MIN_USERS, 10) || 5;
+
+// Interests the public endpoints may show
+export const publicInterestFilter = () => ({
+  $or: [{ listed: true }, { popularity: { $gte: SUGGEST_MIN_USERS } }]
+});
+
+// Cheap plural folding so "musics" finds "music" and "movie" finds "movies"
+const spellings = (slug) => {
+  const variants = new Set([slug, `${slug}s`]);
+  if (slug.endsWith('ies')) variants.add(`${slug.slice(0, -3)}y`);
+  if (slug.endsWith('s') && !slug.endsWith('ss')) variants.add(slug.slice(0, -1));
+  return Array.from(variants);
+};
+
+// Upsert the built-in taxonomy; existing popularity counts are kept
+export const seedInterestTaxonomy = () => Interest.bulkWrite(seedInterests.map(interest => ({
+  updateOne: {
+    filter: { slug: interest.slug },
+    update: {
+      $set: { name: interest.name, category: interest.category, listed: true },
+      $addToSet: { aliases: { $each: interest.aliases } }
+    },
+    upsert: true
+  }
+})));
+
+// The canonical slug for a free-form interest, following aliases and
+// plurals, or null if it is not known. Creates nothing.
+export const findInterestSlug = async (input) => {
+  const slug = toSlug(input);
+  if (!slug) return null;
+
+  const candidates = spellings(slug);
+  const interest = await Interest.findOne({
+    $or: [{ slug: { $in: candidates } }, { aliases: { $in: candidates } }]
+  }).select('slug');
+  return interest?.slug || null;
+};
+
+// Map free-form interests to canonical slugs, creating an uncategorized
+// interest for anything not in the taxonomy yet. Duplicates are dropped.
+export const resolveInterests = async (inputs = []) => {
+  const slugs = [];
+
+  for (const input of inputs) {
+    const slug = toSlug(input);
+    if (!slug) continue;
+
+    let canonical = await findInterestSlug(input);
+    if (!canonical) {
+      const interest = await Interest.findOneAndUpdate(
+        { slug },
+        { $setOnInsert: { slug, name: String(input).trim(), category: 'other' } },
+        { new: true, upsert: true }
+      );
+      canonical = interest.slug;
+    }
+
+    if (!slugs.includes(canonical)) slugs.push(canonical);
+  }
+
+  return slugs;
+};
+
+// Keep popularity counts in step with a user's interest changes
+export const updateInterestPopularity = async (previous = [], next = []) => {
+  const added = next.filter(slug => !previous.includes(slug));
+  const removed = previous.filter(slug => !next.includes(slug));
+
+  if (added.length > 0) {
+    await Interest.updateMany({ slug: { $in: added } }, { $inc: { popularity: 1 } });
+  }
+  if (removed.length > 0) {
+    await Interest.updateMany(
+      { slug: { $in: removed }, popularity: { $gt: 0 } },
+      { $inc: { popularity: -1 } }
+    );
+  }
+};
+
+// Autocomplete: prefix matches on slug, name or alias, most popular first.
+// Only public interests (see publicInterestFilter) are offered.
+export const searchInterests = ({ q, category, limit = 10 }) => {
+  const filter = { $and: [publicInterestFilter()] };
+
+  if (q) {
+    const slugPrefix = new RegExp(`^${escapeRegex(toSlug(q))}`);
+    filter.$and.push({
+      $or: [
+        { slug: slugPrefix },
+        { aliases: slugPrefix },
+        { name: new RegExp(`^${escapeRegex(q.trim())}`, 'i') }
+      ]
+    });
+  }
+  if (category) filter.category = category;
+
+  return Interest.find(filter)
+    .select('slug name category popularity')
+    .sort({ popularity: -1, name: 1 })
+    .limit(limit);
+};
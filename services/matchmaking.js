@@ -0,0 +1,377 @@
+// Real-time matchmaking queue.
+//
+// Queued sockets are paired by number of common interests. Both users'
+// preferences (gender, age range, maximum distance) must always accept each
+// other. Each user insists on at least one shared interest for their first
+// MATCH_INTEREST_WAIT_MS; a user who has waited that long does not lower the
+// bar for a partner who has not.
+// Recent partners are avoided until MATCH_REPEAT_WAIT_MS has passed, and even
+// then only picked when nobody else fits. Among equally good partners the
+// nearest one wins.
+//
+// Users ask for text chat, video chat or either. Modes are never relaxed:
+// a pair must agree on one (see resolveChatMode).
+//
+// The queue lives in the shared state, so users connected to different
+// server instances can be paired with each other.
+
+import { calculateAge } from '../models/User.js';
+import { distanceKm, withinCriteria, pointOf } from './geo.js';
+import { getSharedState } from './sharedState.js';
+
+const INTEREST_WAIT_MS = parseInt(process.env.MATCH_INTEREST_WAIT_MS, 10) || 10000;
+const REPEAT_WAIT_MS = parseInt(process.env.MATCH_REPEAT_WAIT_MS, 10) || 20000;
+const MATCH_LOCK_TTL_MS = 10000;
+
+// Shared state keys (see sharedState.js)
+const QUEUE_KEY = 'matchmaking:queue';
+const LOCK_KEY = 'matchmaking:lock';
+
+// What a user may ask for; rooms end up as 'text' or 'video' (CHAT_MODES)
+export const MATCH_MODES = ['text', 'video', 'either'];
+
+// Video needs a camera and microphone; capabilities the client did not
+// report are assumed to be there
+export const canVideo = (capabilities = {}) =>
+  capabilities.camera !== false && capabilities.microphone !== false;
+
+// Validate the mode and capabilities sent with match:request. Resolves to
+// { mode, capabilities } or { error }.
+export const checkMatchRequest = ({ mode = 'either', capabilities = {} } = {}) => {
+  if (!MATCH_MODES.includes(mode)) {
+    return {
+      error: { code: 'INVALID_MODE', message: `Mode must be one of: ${MATCH_MODES.join(', ')}` }
+    };
+  }
+
+  const { camera, microphone } = capabilities || {};
+  if ([camera, microphone].some(value => value !== undefined && typeof value !== 'boolean')) {
+    return {
+      error: { code: 'INVALID_CAPABILITIES', message: 'Camera and microphone must be true or false' }
+    };
+  }
+
+  const checked = { camera, microphone };
+  if (mode === 'video' && !canVideo(checked)) {
+    return {
+      error: { code: 'VIDEO_UNAVAILABLE', message: 'Video chat needs a camera and microphone' }
+    };
+  }
+
+  return { mode, capabilities: checked };
+};
+
+// The chat mode two queued users can share, or null if there is none. Video
+// wins when both sides want it or are happy with either.
+export const resolveChatMode = (a, b) => {
+  const wantsVideo = (entry) => entry.mode !== 'text' && canVideo(entry.capabilities);
+  const acceptsText = (entry) => entry.mode !== 'video';
+
+  if (wantsVideo(a) && wantsVideo(b)) return 'video';
+  if (acceptsText(a) && acceptsText(b)) return 'text';
+  return null;
+};
+
+const normalizeInterest = (interest) => String(interest).trim().toLowerCase();
+
+// Interests of `a` that `b` also has (case-insensitive)
+export const getCommonInterests = (a = [], b = []) => {
+  const other = new Set(b.map(normalizeInterest));
+  return a.filter(interest => other.has(normalizeInterest(interest)));
+};
+
+// Does `candidate` satisfy what `seeker` asked for? Profile fields that are
+// not known yet never disqualify anyone, except that a maximum distance can
+// only be met by someone whose location is known.
+const satisfiesPreferences = (seeker, candidate, km) => {
+  const { gender, ageRange, maxDistanceKm } = seeker.preferences || {};
+
+  if (maxDistanceKm && (km === null || km > maxDistanceKm)) {
+    return false;
+  }
+
+  if (gender && gender !== 'any' && candidate.gender && candidate.gender !== gender) {
+    return false;
+  }
+
+  if (ageRange && typeof candidate.age === 'number') {
+    if (candidate.age < ageRange.min || candidate.age > ageRange.max) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Shape a user document the way queue entries look, for preferencesCompatible()
+export const toMatchProfile = (user) => ({
+  preferences: user.preferences,
+  gender: user.gender,
+  age: calculateAge(user.dateOfBirth) ?? undefined,
+  location: pointOf(user)
+});
+
+export const preferencesCompatible = (a, b, km = distanceKm(a.location, b.location)) =>
+  satisfiesPreferences(a, b, km) && satisfiesPreferences(b, a, km);
+
+// The same mutual rule as Mongo criteria, for the REST matchers: candidates
+// must fit `user`'s preferences and their preferences must accept `user`.
+// The candidate's own distance limit cannot be expressed as a query; check
+// it afterwards with preferencesCompatible().
+export const preferenceCriteria = (user, now = new Date()) => {
+  const conditions = [];
+  const { gender, ageRange, maxDistanceKm } = user.preferences || {};
+
+  if (maxDistanceKm) {
+    const point = pointOf(user);
+    // Without our own location nobody can be confirmed to be near
+    conditions.push(point
+      ? withinCriteria('geoLocation', point, maxDistanceKm)
+      : { _id: null });
+  }
+
+  if (gender && gender !== 'any') {
+    conditions.push({ $or: [{ gender }, { gender: null }] });
+  }
+
+  if (ageRange) {
+    // Aged `min` to `max` inclusive means born in (now - max - 1y, now - min]
+    const latest = new Date(now);
+    latest.setFullYear(latest.getFullYear() - ageRange.min);
+    const earliest = new Date(now);
+    earliest.setFullYear(earliest.getFullYear() - ageRange.max - 1);
+
+    conditions.push({
+      $or: [
+        { dateOfBirth: null },
+        { dateOfBirth: { $gt: earliest, $lte: latest } }
+      ]
+    });
+  }
+
+  if (user.gender) {
+    conditions.push({ 'preferences.gender': { $in: ['any', user.gender, null] } });
+  }
+
+  const age = calculateAge(user.dateOfBirth, now);
+  if (age !== null) {
+    conditions.push({
+      'preferences.ageRange.min': { $not: { $gt: age } },
+      'preferences.ageRange.max': { $not: { $lt: age } }
+    });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+export const createMatchmaker = ({
+  interestWaitMs = INTEREST_WAIT_MS,
+  repeatWaitMs = REPEAT_WAIT_MS,
+  lockTtlMs = MATCH_LOCK_TTL_MS,
+  state
+} = {}) => {
+  const getState = () => state || getSharedState();
+
+  const hasWaited = (entry, now, ms) => now - entry.queuedAt >= ms;
+
+  const evaluate = (a, b, now) => {
+    if (a.userId === b.userId) return null;
+    if (a.blockedUsers.has(b.userId) || b.blockedUsers.has(a.userId)) return null;
+
+    const mode = resolveChatMode(a, b);
+    if (!mode) return null;
+
+    // Every relaxation is judged per user: both must have waited for it
+    const repeat = a.recentPartners.has(b.userId) || b.recentPartners.has(a.userId);
+    if (repeat && !(hasWaited(a, now, repeatWaitMs) && hasWaited(b, now, repeatWaitMs))) {
+      return null;
+    }
+
+    const commonInterests = getCommonInterests(a.interests, b.interests);
+    const km = distanceKm(a.location, b.location);
+
+    if (!preferencesCompatible(a, b, km)) return null;
+
+    const wantsSharedInterest = (entry) =>
+      entry.interests.length > 0 && !hasWaited(entry, now, interestWaitMs);
+    if (commonInterests.length === 0 && a.interests.length > 0 && b.interests.length > 0
+      && (wantsSharedInterest(a) || wantsSharedInterest(b))) {
+      return null;
+    }
+
+    return { score: commonInterests.length, commonInterests, repeat, distanceKm: km, mode };
+  };
+
+  // Fresh partners beat repeats; then more common interests, then proximity
+  const isBetter = (result, best) => {
+    if (!best) return true;
+    if (result.repeat !== best.repeat) return !result.repeat;
+    if (result.score !== best.score) return result.score > best.score;
+    return (result.distanceKm ?? Infinity) < (best.distanceKm ?? Infinity);
+  };
+
+  const bestPartnerFor = (entry, queue, now) => {
+    let best = null;
+
+    for (const candidate of queue.values()) {
+      if (candidate === entry) continue;
+
+      const result = evaluate(entry, candidate, now);
+      // Ties go to the candidate queued first (queue order)
+      if (result && isBetter(result, best)) {
+        best = { entry: candidate, ...result };
+      }
+    }
+
+    return best;
+  };
+
+  // Stored entries hold plain arrays; matching wants sets
+  const toStored = (entry) => ({
+    ...entry,
+    blockedUsers: Array.from(entry.blockedUsers, id => id.toString()),
+    recentPartners: Array.from(entry.recentPartners, id => id.toString())
+  });
+
+  const fromStored = (entry) => ({
+    ...entry,
+    blockedUsers: new Set(entry.blockedUsers),
+    recentPartners: new Set(entry.recentPartners)
+  });
+
+  // socketId -> entry, oldest waiters first
+  const loadQueue = async () => {
+    const entries = Object.values(await getState().hgetall(QUEUE_KEY))
+      .sort((a, b) => a.queuedAt - b.queuedAt);
+    return new Map(entries.map(entry => [entry.socketId, fromStored(entry)]));
+  };
+
+  const updateEntriesOf = async (userId, update) => {
+    const queue = await loadQueue();
+    await Promise.all(Array.from(queue.values())
+      .filter(entry => entry.userId === userId)
+      .map(entry => getState().hset(QUEUE_KEY, entry.socketId, toStored(update(entry)))));
+  };
+
+  return {
+    // Add (or refresh) a socket in the queue
+    async enqueue({
+      socketId,
+      userId,
+      username,
+      interests = [],
+      preferences = {},
+      blockedUsers = [],
+      recentPartners = [],
+      age,
+      gender,
+      location = null,
+      mode = 'either',
+      capabilities = {},
+      queuedAt
+    }) {
+      const existing = await getState().hget(QUEUE_KEY, socketId);
+      await getState().hset(QUEUE_KEY, socketId, toStored({
+        socketId,
+        userId,
+        username,
+        interests,
+        preferences,
+        blockedUsers,
+        recentPartners,
+        age,
+        gender,
+        location,
+        mode,
+        capabilities,
+        queuedAt: existing?.queuedAt || queuedAt || Date.now()
+      }));
+    },
+
+    // Keep queued entries in sync with block list changes
+    block(userId, blockedId) {
+      return updateEntriesOf(userId, entry => {
+        entry.blockedUsers.add(blockedId.toString());
+        return entry;
+      });
+    },
+
+    unblock(userId, blockedId) {
+      return updateEntriesOf(userId, entry => {
+        entry.blockedUsers.delete(blockedId.toString());
+        return entry;
+      });
+    },
+
+    remove(socketId) {
+      return getState().hdel(QUEUE_KEY, socketId);
+    },
+
+    async has(socketId) {
+      return await getState().hget(QUEUE_KEY, socketId) !== null;
+    },
+
+    size() {
+      return getState().hlen(QUEUE_KEY);
+    },
+
+    // Queue length per requested mode: { text, video, either }
+    async sizeByMode() {
+      const sizes = Object.fromEntries(MATCH_MODES.map(mode => [mode, 0]));
+      Object.values(await getState().hgetall(QUEUE_KEY)).forEach(entry => {
+        sizes[entry.mode || 'either'] += 1;
+      });
+      return sizes;
+    },
+
+    // Pair up everyone who can be paired right now, oldest waiters first.
+    // Returns [{ a, b, commonInterests, score, distanceKm, mode }] and
+    // removes them from the queue. Only one instance matches at a time; the
+    // others get [].
+    async match(now = Date.now()) {
+      const lockToken = await getState().lock(LOCK_KEY, lockTtlMs);
+      if (!lockToken) return [];
+
+      try {
+        const queue = await loadQueue();
+        const pairs = [];
+
+        for (const entry of Array.from(queue.values())) {
+          if (!queue.has(entry.socketId)) continue;
+
+          const partner = bestPartnerFor(entry, queue, now);
+          if (!partner) continue;
+
+          queue.delete(entry.socketId);
+          queue.delete(partner.entry.socketId);
+
+          // Someone may have cancelled since the queue was read
+          const [removedA, removedB] = await Promise.all([
+            getState().hdel(QUEUE_KEY, entry.socketId),
+            getState().hdel(QUEUE_KEY, partner.entry.socketId)
+          ]);
+          if (!removedA || !removedB) {
+            if (removedA) await getState().hset(QUEUE_KEY, entry.socketId, toStored(entry));
+            if (removedB) {
+              await getState().hset(QUEUE_KEY, partner.entry.socketId, toStored(partner.entry));
+            }
+            continue;
+          }
+
+          pairs.push({
+            a: entry,
+            b: partner.entry,
+            commonInterests: partner.commonInterests,
+            score: partner.score,
+            distanceKm: partner.distanceKm,
+            mode: partner.mode
+          });
+        }
+
+        return pairs;
+      } finally {
+        await getState().unlock(LOCK_KEY, lockToken);
+      }
+    }
+  };
+};
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import { MESSAGE_TYPES } from '../models/ChatRoom.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+
+// Server-side checks applied to every chat message before it is stored or
+// relayed. Failures carry a machine-readable `code` for the client.
+
+const MAX_LENGTH = parseInt(process.env.MESSAGE_MAX_LENGTH, 10) || 1000;
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 64;
+// `mask` replaces blocked words with asterisks, `reject` refuses the message
+const PROFANITY_MODE = process.env.PROFANITY_MODE === 'reject' ? 'reject' : 'mask';
+
+// 'system' messages are generated by the server only
+const CLIENT_MESSAGE_TYPES = MESSAGE_TYPES.filter(type => type !== 'system');
+
+export const MESSAGE_ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  EMPTY_MESSAGE: 'EMPTY_MESSAGE',
+  MESSAGE_TOO_LONG: 'MESSAGE_TOO_LONG',
+  INVALID_TYPE: 'INVALID_TYPE',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  PROFANITY: 'PROFANITY',
+  RATE_LIMITED: 'RATE_LIMITED',
+  CHAT_ENDED: 'CHAT_ENDED',
+  SERVER_ERROR: 'SERVER_ERROR'
+};
+
+// Blocked words come from PROFANITY_BLOCKLIST (comma separated) and/or
+// PROFANITY_BLOCKLIST_FILE (one word per line)
+const loadBlocklist = () => {
+  const words = (process.env.PROFANITY_BLOCKLIST || '').split(',');
+
+  if (process.env.PROFANITY_BLOCKLIST_FILE) {
+    try {
+      words.push(...fs.readFileSync(process.env.PROFANITY_BLOCKLIST_FILE, 'utf8').split(/\r?\n/));
+    } catch (error) {
+      console.error('Profanity blocklist load error:', error.message);
+    }
+  }
+
+  return words.map(word => word.trim().toLowerCase()).filter(Boolean);
+};
+
+const blocklist = loadBlocklist();
+const blocklistPattern = blocklist.length > 0
+  ? new RegExp(`\\b(${blocklist.map(escapeRegex).join('|')})\\b`, 'gi')
+  : null;
+
+const fail = (code, message) => ({ error: { code, message } });
+
+// Validate and clean a message. Resolves to { message, type, clientMessageId }
+// or { error }.
+export const checkMessage = ({ message, type = 'text', clientMessageId }) => {
+  if (typeof message !== 'string') {
+    return fail(MESSAGE_ERROR_CODES.INVALID_PAYLOAD, 'Message must be a string');
+  }
+
+  if (clientMessageId !== undefined && (typeof clientMessageId !== 'string'
+    || !clientMessageId || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH)) {
+    return fail(
+      MESSAGE_ERROR_CODES.INVALID_PAYLOAD,
+      `clientMessageId must be a string of up to ${MAX_CLIENT_MESSAGE_ID_LENGTH} characters`
+    );
+  }
+
+  if (!CLIENT_MESSAGE_TYPES.includes(type)) {
+    return fail(MESSAGE_ERROR_CODES.INVALID_TYPE, `Type must be one of: ${CLIENT_MESSAGE_TYPES.join(', ')}`);
+  }
+
+  const text = message.trim();
+  if (!text) {
+    return fail(MESSAGE_ERROR_CODES.EMPTY_MESSAGE, 'Message cannot be empty');
+  }
+
+  if (text.length > MAX_LENGTH) {
+    return fail(MESSAGE_ERROR_CODES.MESSAGE_TOO_LONG, `Message cannot exceed ${MAX_LENGTH} characters`);
+  }
+
+  if (blocklistPattern) {
+    blocklistPattern.lastIndex = 0;
+    if (PROFANITY_MODE === 'reject' && blocklistPattern.test(text)) {
+      return fail(MESSAGE_ERROR_CODES.PROFANITY, 'Message contains blocked words');
+    }
+
+    return {
+      message: text.replace(blocklistPattern, word => '*'.repeat(word.length)),
+      type,
+      clientMessageId
+    };
+  }
+
+  return { message: text, type, clientMessageId };
+};
+
+// Sliding-window limit on message bursts, keyed by socket id
+export const createMessageThrottle = ({
+  limit = parseInt(process.env.MESSAGE_RATE_LIMIT, 10) || 5,
+  windowMs = parseInt(process.env.MESSAGE_RATE_WINDOW_MS, 10) || 3000
+} = {}) => {
+  const history = new Map();
+
+  return {
+    // Record an attempt; false if the key is over its limit
+    allow(key, now = Date.now()) {
+      const recent = (history.get(key) || []).filter(time => now - time < windowMs);
+      if (recent.length >= limit) {
+        history.set(key, recent);
+        return false;
+      }
+
+      recent.push(now);
+      history.set(key, recent);
+      return true;
+    },
+
+    clear(key) {
+      history.delete(key);
+    }
+  };
+};
@@ -0,0 +1,99 @@
+// Who is connected, across all server instances. Kept in the shared state so
+// counts and online checks are not limited to the local instance's sockets.
+//
+// Sockets are counted per user, so closing one of several tabs does not take
+// the user offline. Every instance refreshes its own sockets with
+// heartbeat(); entries whose instance stopped refreshing them (e.g. it
+// crashed) expire after PRESENCE_TTL_MS and are removed by sweepExpired().
+//
+// This module is the only writer of User.isOnline: a user is online while
+// they have at least one socket on some instance.
+
+import User from '../models/User.js';
+import { getSharedState } from './sharedState.js';
+
+const PRESENCE_TTL_MS = parseInt(process.env.PRESENCE_TTL_MS, 10) || 90000;
+export const HEARTBEAT_INTERVAL_MS = Math.floor(PRESENCE_TTL_MS / 3);
+
+const SOCKETS_KEY = 'presence:sockets';
+const USERS_KEY = 'presence:users';
+const EXPIRY_KEY = 'presence:expiry';
+const SWEEP_LOCK_KEY = 'presence:sweep';
+
+// Returns how many sockets the user has now
+export const addSocket = async (socketId, { userId, username }) => {
+  const state = getSharedState();
+  await state.hset(SOCKETS_KEY, socketId, { userId, username });
+  await state.hset(EXPIRY_KEY, socketId, Date.now() + PRESENCE_TTL_MS);
+  const count = await state.hincrby(USERS_KEY, userId, 1);
+  await User.updateOne({ _id: userId }, { isOnline: true, lastSeen: new Date() });
+  return count;
+};
+
+// Returns the removed socket's { userId, username, remaining } where
+// `remaining` is how many sockets the user still has, or null if unknown.
+// The user goes offline with their last socket.
+export const removeSocket = async (socketId, now = Date.now()) => {
+  const state = getSharedState();
+  await state.hdel(EXPIRY_KEY, socketId);
+
+  const entry = await state.hget(SOCKETS_KEY, socketId);
+  if (!entry || !await state.hdel(SOCKETS_KEY, socketId)) return null;
+
+  const remaining = await state.hincrby(USERS_KEY, entry.userId, -1);
+  if (remaining <= 0) {
+    await state.hdel(USERS_KEY, entry.userId);
+    await User.updateOne({ _id: entry.userId }, { isOnline: false, lastSeen: new Date(now) });
+  }
+  return { ...entry, remaining: Math.max(0, remaining) };
+};
+
+// Extend the lifetime of sockets this instance still holds
+export const heartbeat = (socketIds) => {
+  const expiresAt = Date.now() + PRESENCE_TTL_MS;
+  return Promise.all(socketIds.map(socketId =>
+    getSharedState().hset(EXPIRY_KEY, socketId, expiresAt)
+  ));
+};
+
+// Remove expired sockets and mark users without any socket left offline.
+// Returns the removed sockets as [{ socketId, userId, username, remaining }].
+export const sweepExpired = async (now = Date.now()) => {
+  const state = getSharedState();
+  const lockToken = await state.lock(SWEEP_LOCK_KEY, HEARTBEAT_INTERVAL_MS);
+  if (!lockToken) return [];
+
+  try {
+    const expiry = await state.hgetall(EXPIRY_KEY);
+    const expired = Object.keys(expiry).filter(socketId => expiry[socketId] <= now);
+
+    const removed = [];
+    for (const socketId of expired) {
+      const entry = await removeSocket(socketId, now);
+      if (entry) removed.push({ socketId, ...entry });
+    }
+
+    return removed;
+  } finally {
+    await state.unlock(SWEEP_LOCK_KEY, lockToken);
+  }
+};
+
+// After a restart or crash users may still be flagged online in the
+// database; only those with a live socket on some instance really are
+export const resetStaleOnlineFlags = async () => {
+  await sweepExpired();
+  const onlineUserIds = Object.keys(await getSharedState().hgetall(USERS_KEY));
+
+  await User.updateMany(
+    { isOnline: true, _id: { $nin: onlineUserIds } },
+    { isOnline: false }
+  );
+};
+
+export const countSockets = () => getSharedState().hlen(SOCKETS_KEY);
+
+export const countOnlineUsers = () => getSharedState().hlen(USERS_KEY);
+
+export const isUserOnline = async (userId) =>
+  (await getSharedState().hget(USERS_KEY, userId.toString()) || 0) > 0;
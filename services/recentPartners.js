@@ -0,0 +1,36 @@
+import ChatRoom from '../models/ChatRoom.js';
+
+// A partner counts as "recent" if they were among a user's last
+// MATCH_RECENT_PARTNERS matches or were matched within the last
+// MATCH_RECENT_PARTNER_MINUTES. Set either to 0 to disable that rule.
+const RECENT_PARTNERS = parseInt(process.env.MATCH_RECENT_PARTNERS ?? '3', 10);
+const RECENT_PARTNER_MINUTES = parseInt(process.env.MATCH_RECENT_PARTNER_MINUTES ?? '10', 10);
+
+// Ids (as strings) of the users `userId` was recently paired with. Chat rooms
+// are persisted, so this survives restarts and is shared by the REST and
+// socket matchers.
+export const getRecentPartnerIds = async (userId) => {
+  const rooms = [];
+
+  if (RECENT_PARTNERS > 0) {
+    rooms.push(...await ChatRoom.find({ participants: userId, kind: { $ne: 'topic' } })
+      .select('participants')
+      .sort({ startedAt: -1 })
+      .limit(RECENT_PARTNERS));
+  }
+
+  if (RECENT_PARTNER_MINUTES > 0) {
+    rooms.push(...await ChatRoom.find({
+      participants: userId,
+      kind: { $ne: 'topic' },
+      startedAt: { $gte: new Date(Date.now() - RECENT_PARTNER_MINUTES * 60 * 1000) }
+    }).select('participants'));
+  }
+
+  const partners = new Set();
+  rooms.forEach(room => room.participants.forEach(id => {
+    if (id.toString() !== userId.toString()) partners.add(id.toString());
+  }));
+
+  return partners;
+};
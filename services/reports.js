@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import ChatRoom from '../models/ChatRoom.js';
+import Report from '../models/Report.js';
+
+const TEMP_BAN_THRESHOLD = parseInt(process.env.REPORT_TEMP_BAN_THRESHOLD, 10) || 3;
+const TEMP_BAN_HOURS = parseInt(process.env.REPORT_TEMP_BAN_HOURS, 10) || 24;
+const BAN_THRESHOLD = parseInt(process.env.REPORT_BAN_THRESHOLD, 10) || 10;
+
+// Ban the user if their report count just crossed a threshold. Returns the
+// ban that was applied, or null.
+const applyReportThresholds = async (user) => {
+  if (user.reportCount >= BAN_THRESHOLD && !(user.isBanned && !user.bannedUntil)) {
+    user.isBanned = true;
+    user.bannedUntil = null;
+    user.banReason = 'Automatic ban: too many reports';
+  } else if (user.reportCount === TEMP_BAN_THRESHOLD && !user.isBanned) {
+    user.isBanned = true;
+    user.bannedUntil = new Date(Date.now() + TEMP_BAN_HOURS * 60 * 60 * 1000);
+    user.banReason = 'Automatic suspension: too many reports';
+  } else {
+    return null;
+  }
+
+  await user.save();
+  return { bannedUntil: user.bannedUntil, reason: user.banReason };
+};
+
+// Record a report of `reportedUserId` by `reporterId`. It counts towards the
+// automatic ban thresholds only with a `roomId` both users were in. Resolves to
+// { report, duplicate, ban } on success or { status, message } when the
+// report is rejected.
+export const submitReport = async ({
+  reporterId,
+  reportedUserId,
+  roomId,
+  reason,
+  details,
+  messageExcerpt
+}) => {
+  if (!mongoose.isValidObjectId(reportedUserId)) {
+    return { status: 400, message: 'Invalid user id' };
+  }
+
+  if (reporterId.toString() === reportedUserId.toString()) {
+    return { status: 400, message: 'You cannot report yourself' };
+  }
+
+  const reportedUser = await User.exists({ _id: reportedUserId });
+  if (!reportedUser) {
+    return { status: 404, message: 'User not found' };
+  }
+
+  // A room is only accepted as context if both users were actually in it
+  if (roomId) {
+    const room = mongoose.isValidObjectId(roomId) && await ChatRoom.exists({
+      _id: roomId,
+      participants: { $all: [reporterId, reportedUserId] }
+    });
+
+    if (!room) {
+      return { status: 400, message: 'Chat room does not belong to both users' };
+    }
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      reporter: reporterId,
+      reportedUser: reportedUserId,
+      room: roomId,
+      reason,
+      details,
+      messageExcerpt
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      report = await Report.findOne({ reporter: reporterId, reportedUser: reportedUserId });
+      return { report, duplicate: true, ban: null };
+    }
+    throw error;
+  }
+
+  // Only someone who actually chatted with the user can push them towards an
+  // automatic ban; other reports are kept for moderators to review
+  if (!roomId) return { report, duplicate: false, ban: null };
+
+  const updatedUser = await User.findByIdAndUpdate(
+    reportedUserId,
+    { $inc: { reportCount: 1 } },
+    { new: true }
+  );
+  const ban = await applyReportThresholds(updatedUser);
+
+  return { report, duplicate: false, ban };
+};
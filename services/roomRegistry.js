@@ -0,0 +1,137 @@
+// Live one-to-one chat rooms, shared by all server instances so either
+// partner's instance can check membership and end the chat.
+//
+// A room is { user1, user2, userIds: { socketId: userId },
+// usernames: { socketId: username }, resumeTokens: { userId: tokenHash },
+// mode: 'text' | 'video', startTime }.
+//
+// A member whose connection dropped is "away" until they resume the chat
+// from a new socket with their resume token, or until the grace period ends.
+// Grace deadlines are shared too, so a chat is still ended on time when the
+// instance that saw the drop stops.
+
+import crypto from 'crypto';
+import { getSharedState } from './sharedState.js';
+import { hashToken } from '../utils/hashToken.js';
+
+const ROOMS_KEY = 'rooms';
+const connectKey = (roomId) => `room:${roomId}:connect`;
+const awayKey = (roomId) => `room:${roomId}:away`;
+const DEADLINES_KEY = 'rooms:away-deadlines';
+const deadlineField = (roomId, socketId) => `${roomId}:${socketId}`;
+
+// A token a member can later resume the chat with; only the hash is stored
+export const createResumeToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token) };
+};
+
+export const resumeTokenMatches = (room, userId, token) =>
+  typeof token === 'string' && room.resumeTokens?.[userId] === hashToken(token);
+
+export const registerRoom = (roomId, room) =>
+  getSharedState().hset(ROOMS_KEY, roomId, room);
+
+export const getRoom = (roomId) =>
+  typeof roomId === 'string' ? getSharedState().hget(ROOMS_KEY, roomId) : null;
+
+// Resolves to true only for the caller that actually removed the room
+export const removeRoom = async (roomId) => {
+  const state = getSharedState();
+  const removed = await state.hdel(ROOMS_KEY, roomId);
+  if (removed) {
+    const awaySocketIds = Object.keys(await state.hgetall(awayKey(roomId)));
+    await Promise.all(awaySocketIds.map(socketId =>
+      state.hdel(DEADLINES_KEY, deadlineField(roomId, socketId))));
+    await state.del(connectKey(roomId));
+    await state.del(awayKey(roomId));
+  }
+  return removed;
+};
+
+export const listRoomIds = async () =>
+  Object.keys(await getSharedState().hgetall(ROOMS_KEY));
+
+export const countRooms = () => getSharedState().hlen(ROOMS_KEY);
+
+// Rooms that any of `socketIds` is a member of
+export const findRoomIdsBySockets = async (socketIds) => {
+  const rooms = await getSharedState().hgetall(ROOMS_KEY);
+  return Object.keys(rooms)
+    .filter(roomId => socketIds.some(socketId => rooms[roomId].userIds[socketId]));
+};
+
+// The socket id on the other side of `socketId` in `room`
+export const partnerSocketOf = (room, socketId) =>
+  room.user1 === socketId ? room.user2 : room.user1;
+
+// The member's socket id in `room`, found by user id
+export const socketOfUser = (room, userId) =>
+  Object.keys(room.userIds).find(socketId => room.userIds[socketId] === userId) || null;
+
+// Remember when a member's socket dropped and until when they may resume
+export const markAway = async (roomId, socketId, graceMs) => {
+  const now = Date.now();
+  await getSharedState().hset(awayKey(roomId), socketId, now);
+  await getSharedState().hset(DEADLINES_KEY, deadlineField(roomId, socketId), now + graceMs);
+};
+
+// When `socketId` dropped out of the room, or null if it did not
+export const awaySince = (roomId, socketId) =>
+  getSharedState().hget(awayKey(roomId), socketId);
+
+// Away members whose grace period is over, as [{ roomId, socketId }]
+export const listOverdueAway = async (now = Date.now()) => {
+  const deadlines = await getSharedState().hgetall(DEADLINES_KEY);
+  return Object.keys(deadlines)
+    .filter(field => deadlines[field] <= now)
+    .map(field => {
+      const separator = field.indexOf(':');
+      return { roomId: field.slice(0, separator), socketId: field.slice(separator + 1) };
+    });
+};
+
+// Resolves to true for only one caller, so an abandoned chat is ended once
+// even when several instances notice it
+export const claimOverdueAway = (roomId, socketId) =>
+  getSharedState().hdel(DEADLINES_KEY, deadlineField(roomId, socketId));
+
+// Move a member over to the socket they resumed from. Resolves to the
+// updated room, or null if the room is gone.
+export const replaceSocket = async (roomId, oldSocketId, newSocketId) => {
+  const state = getSharedState();
+  const room = await getRoom(roomId);
+  if (!room || !room.userIds[oldSocketId]) return null;
+
+  const rename = (map) => {
+    const { [oldSocketId]: value, ...rest } = map;
+    return { ...rest, [newSocketId]: value };
+  };
+  const updated = {
+    ...room,
+    user1: room.user1 === oldSocketId ? newSocketId : room.user1,
+    user2: room.user2 === oldSocketId ? newSocketId : room.user2,
+    userIds: rename(room.userIds),
+    usernames: rename(room.usernames)
+  };
+  await state.hset(ROOMS_KEY, roomId, updated);
+  await state.hdel(awayKey(roomId), oldSocketId);
+  await state.hdel(DEADLINES_KEY, deadlineField(roomId, oldSocketId));
+
+  if (await hasConnectRequest(roomId, oldSocketId)) {
+    await removeConnectRequest(roomId, oldSocketId);
+    await addConnectRequest(roomId, newSocketId);
+  }
+
+  return updated;
+};
+
+// Connect requests made in a room, by socket id
+export const addConnectRequest = (roomId, socketId) =>
+  getSharedState().sadd(connectKey(roomId), socketId);
+
+export const removeConnectRequest = (roomId, socketId) =>
+  getSharedState().srem(connectKey(roomId), socketId);
+
+export const hasConnectRequest = (roomId, socketId) =>
+  getSharedState().sismember(connectKey(roomId), socketId);
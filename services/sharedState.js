@@ -0,0 +1,173 @@
+// State that every server instance must agree on: presence, the matchmaking
+// queue and the chat room registry.
+//
+// A single instance keeps it in memory. With REDIS_URL set (see
+// config/redis.js) it lives in Redis so several instances behind a load
+// balancer see the same users, queue and rooms. Both backends implement the
+// same small async interface; values are anything JSON can hold.
+//   hset(key, field, value) / hget(key, field) / hgetall(key) -> { field: value }
+//   hdel(key, field) -> true if it existed / hlen(key)
+//   hincrby(key, field, by) -> new value
+//   sadd(key, member) / srem(key, member) / sismember(key, member)
+//   del(key)
+//   lock(key, ttlMs) -> owner token if acquired, else null
+//   unlock(key, token) -> releases the lock only if `token` still owns it
+
+import crypto from 'crypto';
+
+const lockToken = () => crypto.randomBytes(16).toString('hex');
+
+export const createMemoryState = () => {
+  const hashes = new Map();
+  const sets = new Map();
+  const locks = new Map();
+
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  // Values are copied on the way in and out, as they would be over the wire
+  const copy = (value) => value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+  return {
+    async hset(key, field, value) {
+      hash(key).set(field, copy(value));
+    },
+
+    async hget(key, field) {
+      return copy(hashes.get(key)?.get(field));
+    },
+
+    async hgetall(key) {
+      return Object.fromEntries(
+        Array.from(hashes.get(key) || [], ([field, value]) => [field, copy(value)])
+      );
+    },
+
+    async hdel(key, field) {
+      const existed = hashes.get(key)?.delete(field) || false;
+      if (hashes.get(key)?.size === 0) hashes.delete(key);
+      return existed;
+    },
+
+    async hlen(key) {
+      return hashes.get(key)?.size || 0;
+    },
+
+    async hincrby(key, field, by) {
+      const value = (hash(key).get(field) || 0) + by;
+      hash(key).set(field, value);
+      return value;
+    },
+
+    async sadd(key, member) {
+      if (!sets.has(key)) sets.set(key, new Set());
+      sets.get(key).add(member);
+    },
+
+    async srem(key, member) {
+      sets.get(key)?.delete(member);
+    },
+
+    async sismember(key, member) {
+      return sets.get(key)?.has(member) || false;
+    },
+
+    async del(key) {
+      hashes.delete(key);
+      sets.delete(key);
+    },
+
+    async lock(key, ttlMs) {
+      const now = Date.now();
+      if ((locks.get(key)?.expiresAt || 0) > now) return null;
+      const token = lockToken();
+      locks.set(key, { token, expiresAt: now + ttlMs });
+      return token;
+    },
+
+    async unlock(key, token) {
+      if (locks.get(key)?.token === token) locks.delete(key);
+    }
+  };
+};
+
+// Compare-and-delete, atomically
+const UNLOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// `client` is an ioredis client (or anything with the same commands)
+export const createRedisState = (client, { prefix = 'monkeychat:' } = {}) => {
+  const k = (key) => `${prefix}${key}`;
+  const parse = (value) => value === null || value === undefined ? null : JSON.parse(value);
+
+  return {
+    async hset(key, field, value) {
+      await client.hset(k(key), field, JSON.stringify(value));
+    },
+
+    async hget(key, field) {
+      return parse(await client.hget(k(key), field));
+    },
+
+    async hgetall(key) {
+      const raw = await client.hgetall(k(key));
+      return Object.fromEntries(
+        Object.entries(raw || {}).map(([field, value]) => [field, parse(value)])
+      );
+    },
+
+    async hdel(key, field) {
+      return await client.hdel(k(key), field) > 0;
+    },
+
+    async hlen(key) {
+      return client.hlen(k(key));
+    },
+
+    async hincrby(key, field, by) {
+      return client.hincrby(k(key), field, by);
+    },
+
+    async sadd(key, member) {
+      await client.sadd(k(key), member);
+    },
+
+    async srem(key, member) {
+      await client.srem(k(key), member);
+    },
+
+    async sismember(key, member) {
+      return await client.sismember(k(key), member) === 1;
+    },
+
+    async del(key) {
+      await client.del(k(key));
+    },
+
+    async lock(key, ttlMs) {
+      const token = lockToken();
+      return await client.set(k(key), token, 'PX', ttlMs, 'NX') === 'OK' ? token : null;
+    },
+
+    // A lock that expired meanwhile may belong to another instance by now
+    async unlock(key, token) {
+      await client.eval(UNLOCK_SCRIPT, 1, k(key), token);
+    }
+  };
+};
+
+let state = null;
+
+export const getSharedState = () => {
+  if (!state) state = createMemoryState();
+  return state;
+};
+
+export const setSharedState = (nextState) => {
+  state = nextState;
+};
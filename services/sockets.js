@@ -0,0 +1,23 @@
+// Helpers for reaching users' sockets from anywhere in the app. The Socket.IO
+// server is stored on the Express app as `io` (see index.js).
+
+// Every socket joins a room named after its user, so all of a user's tabs can
+// be reached without knowing their socket ids
+export const userRoom = (userId) => `user:${userId}`;
+
+// Tell every socket of a user why they are being dropped, then drop them
+export const disconnectUser = (io, userId, event, payload = {}) => {
+  io.to(userRoom(userId)).emit(event, payload);
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+// Drop only the sockets opened with one login session
+export const disconnectSession = async (io, userId, sessionId, event, payload = {}) => {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  sockets
+    .filter(socket => socket.data.sessionId === sessionId)
+    .forEach(socket => {
+      socket.emit(event, payload);
+      socket.disconnect(true);
+    });
+};
@@ -0,0 +1,50 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// File storage behind a small interface so local disk can later be swapped
+// for object storage with setStorage():
+//   save(key, buffer, contentType) -> Promise
+//   remove(key)                    -> Promise (missing files are ignored)
+//   url(key)                       -> public URL for the stored file
+
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || 'tmp/uploads';
+export const UPLOAD_URL_PATH = '/uploads';
+
+// Keys are generated by the server, but never let one escape the root
+const resolveKey = (root, key) => {
+  const file = path.resolve(root, key);
+  if (!file.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return file;
+};
+
+export const createLocalStorage = ({
+  root = UPLOAD_DIR,
+  publicPath = UPLOAD_URL_PATH
+} = {}) => ({
+  async save(key, buffer) {
+    const file = resolveKey(root, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  },
+
+  async remove(key) {
+    await fs.rm(resolveKey(root, key), { force: true });
+  },
+
+  url(key) {
+    return `${publicPath}/${key}`;
+  }
+});
+
+let storage = null;
+
+export const getStorage = () => {
+  if (!storage) storage = createLocalStorage();
+  return storage;
+};
+
+export const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { generateToken } from '../middleware/auth.js';
+import { hashToken } from '../utils/hashToken.js';
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const createRefreshToken = async (user, sessionId, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    sessionId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return refreshToken;
+};
+
+const signAccessToken = (user, sessionId) => generateToken(user._id, {
+  sessionId,
+  tokenVersion: user.tokenVersion
+});
+
+// Start a new login session: { token, refreshToken }
+export const issueSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(user, sessionId, req);
+
+  return { token: signAccessToken(user, sessionId), refreshToken };
+};
+
+// Exchange a refresh token for a new pair. Resolves to
+// { token, refreshToken, user } or { status, message }.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    return { status: 401, message: 'Invalid refresh token.' };
+  }
+
+  // A rotated token being presented again means it leaked: end the session
+  if (stored.revokedAt) {
+    await revokeSession(stored.sessionId);
+    return { status: 401, message: 'Refresh token reuse detected. Please log in again.' };
+  }
+
+  const user = await User.findById(stored.user).select('-password');
+  if (!user) {
+    return { status: 401, message: 'Invalid refresh token.' };
+  }
+
+  if (await user.refreshBanStatus()) {
+    return { status: 403, message: 'Account has been banned.' };
+  }
+
+  // Only one concurrent rotation may win
+  const claimed = await RefreshToken.updateOne(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  if (claimed.modifiedCount === 0) {
+    await revokeSession(stored.sessionId);
+    return { status: 401, message: 'Refresh token reuse detected. Please log in again.' };
+  }
+
+  const nextRefreshToken = await createRefreshToken(user, stored.sessionId, req);
+
+  return {
+    user,
+    token: signAccessToken(user, stored.sessionId),
+    refreshToken: nextRefreshToken
+  };
+};
+
+export const revokeSession = (sessionId) => RefreshToken.updateMany(
+  { sessionId, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+// Blacklist an access token until it would have expired on its own
+export const revokeAccessToken = async ({ jti, exp, userId }) => {
+  if (!jti) return;
+
+  await RevokedToken.updateOne(
+    { jti },
+    { $setOnInsert: { jti, user: userId, expiresAt: new Date(exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+// Invalidate every session: bumping tokenVersion kills all access tokens
+export const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
@@ -0,0 +1,219 @@
+// Socket events of topic rooms (see topicRooms.js): joining and leaving,
+// posting, and moderation by the owner and moderators. Membership is kept
+// per socket, so a user with several tabs is listed once.
+
+import mongoose from 'mongoose';
+import ChatRoom, { messagePayload } from '../models/ChatRoom.js';
+import { checkMessage, MESSAGE_ERROR_CODES } from './messageFilter.js';
+import { userRoom } from './sockets.js';
+import {
+  HISTORY_LIMIT as TOPIC_HISTORY_LIMIT,
+  TOPIC_ERROR_CODES,
+  findTopicRoom,
+  roleOf,
+  canModerate,
+  countMembers,
+  isMember,
+  listMembers,
+  isSocketInRoom,
+  addMember,
+  removeMember,
+  removeSocketFromRooms,
+  kickMember,
+  kickedUntil,
+  mutedUntil,
+  muteMember,
+  isValidMuteMinutes,
+  getTopicMessages
+} from './topicRooms.js';
+
+// Tell topic rooms about members whose last socket left
+const announceLeaves = (io, removed) => {
+  removed.filter(entry => entry.left).forEach(({ roomId, userId }) => {
+    io.to(roomId).emit('topic:member-left', { roomId, userId });
+  });
+};
+
+// Take a socket that disconnected or expired out of all its topic rooms
+export const leaveAllTopicRooms = async (io, socketId) => {
+  announceLeaves(io, await removeSocketFromRooms(socketId));
+};
+
+export const registerTopicRoomHandlers = (io, socket, { messageThrottle }) => {
+  const rejectTopic = (respond, roomId, code, message) => {
+    socket.emit('topic:error', { roomId, code, message });
+    respond({ success: false, roomId, code, message });
+  };
+
+  socket.on('topic:join', async (data, ack) => {
+    const { roomId } = data || {};
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const room = await findTopicRoom(roomId);
+      if (!room) {
+        return rejectTopic(respond, roomId, TOPIC_ERROR_CODES.NOT_FOUND, 'Room not found');
+      }
+
+      if (await kickedUntil(roomId, socket.userId)) {
+        return rejectTopic(respond, roomId, TOPIC_ERROR_CODES.KICKED,
+          'You were removed from this room; try again later');
+      }
+
+      if (!await isSocketInRoom(roomId, socket.id)) {
+        // Another tab of the same user does not take an extra place
+        if (!await isMember(roomId, socket.userId)
+          && await countMembers(roomId) >= room.capacity) {
+          return rejectTopic(respond, roomId, TOPIC_ERROR_CODES.ROOM_FULL, 'Room is full');
+        }
+
+        socket.join(roomId);
+        const { userId, username } = socket;
+        if (await addMember(roomId, socket.id, { userId, username })) {
+          socket.to(roomId).emit('topic:member-joined', {
+            roomId,
+            userId: socket.userId,
+            username: socket.username,
+            role: roleOf(room, socket.userId)
+          });
+        }
+        await ChatRoom.updateOne({ _id: roomId }, { $addToSet: { participants: socket.userId } });
+      }
+
+      const [members, messages, muted] = await Promise.all([
+        listMembers(room),
+        getTopicMessages(roomId, { limit: 50 }),
+        mutedUntil(roomId, socket.userId)
+      ]);
+      const joined = {
+        roomId,
+        name: room.name,
+        interest: room.interest,
+        capacity: room.capacity,
+        role: roleOf(room, socket.userId),
+        mutedUntil: muted,
+        members,
+        messages
+      };
+      socket.emit('topic:joined', joined);
+      respond({ success: true, ...joined });
+    } catch (error) {
+      console.error('Topic join error:', error);
+      rejectTopic(respond, roomId, MESSAGE_ERROR_CODES.SERVER_ERROR, 'Failed to join room');
+    }
+  });
+
+  socket.on('topic:leave', async (data) => {
+    try {
+      const { roomId } = data || {};
+      if (typeof roomId !== 'string') return;
+
+      socket.leave(roomId);
+      // Null if a moderator already kicked this user out
+      const removed = await removeMember(roomId, socket.id);
+      if (!removed) return;
+
+      announceLeaves(io, [{ roomId, ...removed }]);
+      socket.emit('topic:left', { roomId });
+    } catch (error) {
+      console.error('Topic leave error:', error);
+    }
+  });
+
+  socket.on('topic:message', async (data, ack) => {
+    const { roomId, message, clientMessageId } = data || {};
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const rejectMessage = (code, reason) => rejectTopic(respond, roomId, code, reason);
+
+    try {
+      if (!socket.rooms.has(roomId) || !await isSocketInRoom(roomId, socket.id)) {
+        return rejectMessage(MESSAGE_ERROR_CODES.NOT_IN_ROOM, 'You are not in this room');
+      }
+
+      if (!messageThrottle.allow(socket.id)) {
+        return rejectMessage(MESSAGE_ERROR_CODES.RATE_LIMITED, 'You are sending messages too fast');
+      }
+
+      if (await mutedUntil(roomId, socket.userId)) {
+        return rejectMessage(TOPIC_ERROR_CODES.MUTED, 'You are muted in this room');
+      }
+
+      const checked = checkMessage({ message, clientMessageId });
+      if (checked.error) {
+        return rejectMessage(checked.error.code, checked.error.message);
+      }
+
+      const result = await ChatRoom.addMessage(roomId, {
+        sender: socket.userId,
+        message: checked.message,
+        type: checked.type,
+        clientMessageId: checked.clientMessageId
+      }, { keepLast: TOPIC_HISTORY_LIMIT });
+
+      if (!result) {
+        return rejectMessage(MESSAGE_ERROR_CODES.CHAT_ENDED, 'Room is closed');
+      }
+
+      const { entry: stored, duplicate } = result;
+      respond({
+        success: true,
+        id: stored._id.toString(),
+        clientMessageId,
+        timestamp: stored.timestamp,
+        duplicate
+      });
+      if (duplicate) return;
+
+      io.to(roomId).emit('topic:message', {
+        roomId,
+        ...messagePayload(stored, socket.username)
+      });
+    } catch (error) {
+      console.error('Topic message error:', error);
+      rejectMessage(MESSAGE_ERROR_CODES.SERVER_ERROR, 'Failed to send message');
+    }
+  });
+
+  // Owners and moderators keep order: a kick removes someone from the room
+  // for a while, a mute stops them posting for `minutes` (0 lifts it)
+  const moderateTopic = (action) => async (data, ack) => {
+    const { roomId, userId, minutes } = data || {};
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const room = await findTopicRoom(roomId);
+      if (!room) {
+        return rejectTopic(respond, roomId, TOPIC_ERROR_CODES.NOT_FOUND, 'Room not found');
+      }
+
+      if (action === 'mute' && !isValidMuteMinutes(minutes)) {
+        return rejectTopic(respond, roomId, TOPIC_ERROR_CODES.INVALID_PAYLOAD,
+          'Minutes must be a whole number between 0 and 1440');
+      }
+
+      if (!mongoose.isValidObjectId(userId) || !canModerate(room, socket.userId, userId)) {
+        return rejectTopic(respond, roomId, TOPIC_ERROR_CODES.FORBIDDEN,
+          `You cannot ${action} this user`);
+      }
+
+      let until;
+      if (action === 'kick') {
+        until = await kickMember(roomId, userId);
+        io.to(userRoom(userId)).emit('topic:kicked', { roomId, until });
+        io.in(userRoom(userId)).socketsLeave(roomId);
+        io.to(roomId).emit('topic:member-left', { roomId, userId, reason: 'kicked' });
+      } else {
+        until = await muteMember(roomId, userId, minutes);
+        io.to(roomId).emit('topic:member-muted', { roomId, userId, until });
+      }
+
+      respond({ success: true, roomId, userId, until });
+    } catch (error) {
+      console.error(`Topic ${action} error:`, error);
+      rejectTopic(respond, roomId, MESSAGE_ERROR_CODES.SERVER_ERROR, `Failed to ${action} user`);
+    }
+  };
+
+  socket.on('topic:kick', moderateTopic('kick'));
+  socket.on('topic:mute', moderateTopic('mute'));
+};
@@ -0,0 +1,196 @@
+// Public group chats about one interest ("topic rooms").
+//
+// The rooms themselves, their owner and moderators are ChatRoom documents
+// with kind 'topic'. Who is in a room right now, mutes and kicks are live
+// state kept in the shared state, so every instance sees them.
+//
+// Membership is stored per socket, with an index of the rooms each socket
+// is in, so the sockets of a crashed instance can be taken out of their
+// rooms when presence expires them. A user with several tabs in a room is
+// one member.
+
+import mongoose from 'mongoose';
+import ChatRoom, { messagePayload } from '../models/ChatRoom.js';
+import User from '../models/User.js';
+import { getSharedState } from './sharedState.js';
+
+export const DEFAULT_CAPACITY = parseInt(process.env.TOPIC_ROOM_CAPACITY, 10) || 50;
+export const MAX_ROOMS_PER_OWNER = parseInt(process.env.TOPIC_ROOMS_PER_OWNER, 10) || 3;
+// Older messages are dropped once a room has stored this many
+export const HISTORY_LIMIT = parseInt(process.env.TOPIC_HISTORY_LIMIT, 10) || 5000;
+const MAX_MUTE_MINUTES = 24 * 60;
+// How long a kicked user has to wait before joining again
+const KICK_COOLDOWN_MS = (parseInt(process.env.TOPIC_KICK_COOLDOWN_MINUTES, 10) || 15) * 60 * 1000;
+
+export const TOPIC_ERROR_CODES = {
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  ROOM_FULL: 'ROOM_FULL',
+  KICKED: 'KICKED',
+  MUTED: 'MUTED',
+  FORBIDDEN: 'FORBIDDEN',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD'
+};
+
+const ROLE_RANK = { member: 0, moderator: 1, owner: 2 };
+
+const socketsKey = (roomId) => `topic:${roomId}:sockets`;
+const socketRoomsKey = (socketId) => `topic:socket:${socketId}`;
+const mutesKey = (roomId) => `topic:${roomId}:mutes`;
+const kicksKey = (roomId) => `topic:${roomId}:kicks`;
+
+// The open topic room with this id, or null
+export const findTopicRoom = (roomId) => mongoose.isValidObjectId(roomId)
+  ? ChatRoom.findOne({ _id: roomId, kind: 'topic', isActive: true }).select('-messages')
+  : null;
+
+export const roleOf = (room, userId) => {
+  if (room.owner?.toString() === userId.toString()) return 'owner';
+  if (room.moderators.some(id => id.toString() === userId.toString())) return 'moderator';
+  return 'member';
+};
+
+// Owners can moderate everyone else, moderators only plain members
+export const canModerate = (room, actorId, targetId) =>
+  ROLE_RANK[roleOf(room, actorId)] > ROLE_RANK[roleOf(room, targetId)];
+
+// { socketId: { userId, username } } of the room's sockets
+const roomSockets = (roomId) => getSharedState().hgetall(socketsKey(roomId));
+
+const socketIdsOfUser = (sockets, userId) => Object.keys(sockets)
+  .filter(socketId => sockets[socketId].userId === userId.toString());
+
+const uniqueMembers = (sockets) => new Map(Object.values(sockets)
+  .map(({ userId, username }) => [userId, username]));
+
+export const countMembers = async (roomId) => uniqueMembers(await roomSockets(roomId)).size;
+
+export const isMember = async (roomId, userId) =>
+  socketIdsOfUser(await roomSockets(roomId), userId).length > 0;
+
+export const isSocketInRoom = async (roomId, socketId) =>
+  await getSharedState().hget(socketsKey(roomId), socketId) !== null;
+
+// [{ userId, username, role }] of everyone in the room right now
+export const listMembers = async (room) => {
+  const members = uniqueMembers(await roomSockets(room._id.toString()));
+  return Array.from(members, ([userId, username]) => ({
+    userId,
+    username,
+    role: roleOf(room, userId)
+  }));
+};
+
+// Put a socket in the room. Resolves to true if its user was not in the
+// room before (their first tab).
+export const addMember = async (roomId, socketId, { userId, username }) => {
+  const state = getSharedState();
+  const wasMember = await isMember(roomId, userId);
+  await state.hset(socketsKey(roomId), socketId, { userId, username });
+  await state.hset(socketRoomsKey(socketId), roomId, true);
+  return !wasMember;
+};
+
+// Take a socket out of the room. Resolves to { userId, left } where `left`
+// is true once the user's last socket is gone, or null if the socket was
+// not in the room.
+export const removeMember = async (roomId, socketId) => {
+  const state = getSharedState();
+  await state.hdel(socketRoomsKey(socketId), roomId);
+
+  const entry = await state.hget(socketsKey(roomId), socketId);
+  if (!entry || !await state.hdel(socketsKey(roomId), socketId)) return null;
+
+  return { userId: entry.userId, left: !await isMember(roomId, entry.userId) };
+};
+
+// Take a socket out of every room it is in, e.g. when it disconnects or its
+// instance stopped. Resolves to [{ roomId, userId, left }].
+export const removeSocketFromRooms = async (socketId) => {
+  const roomIds = Object.keys(await getSharedState().hgetall(socketRoomsKey(socketId)));
+  const removed = await Promise.all(roomIds.map(async roomId => {
+    const entry = await removeMember(roomId, socketId);
+    return entry && { roomId, ...entry };
+  }));
+  return removed.filter(Boolean);
+};
+
+// Take the user out with all their sockets and keep them out for a while
+export const kickMember = async (roomId, userId) => {
+  const state = getSharedState();
+  const sockets = await roomSockets(roomId);
+  await Promise.all(socketIdsOfUser(sockets, userId).map(socketId => Promise.all([
+    state.hdel(socketsKey(roomId), socketId),
+    state.hdel(socketRoomsKey(socketId), roomId)
+  ])));
+
+  const until = Date.now() + KICK_COOLDOWN_MS;
+  await state.hset(kicksKey(roomId), userId, until);
+  return until;
+};
+
+// When a restriction (mute or kick) stored in `key` ends, or null if none
+const activeUntil = async (key, userId) => {
+  const until = await getSharedState().hget(key, userId.toString());
+  if (until && until > Date.now()) return until;
+
+  if (until) await getSharedState().hdel(key, userId.toString());
+  return null;
+};
+
+export const kickedUntil = (roomId, userId) => activeUntil(kicksKey(roomId), userId);
+
+export const mutedUntil = (roomId, userId) => activeUntil(mutesKey(roomId), userId);
+
+export const isValidMuteMinutes = (minutes) =>
+  Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_MUTE_MINUTES;
+
+// Mute for `minutes`, or lift the mute when it is 0
+export const muteMember = async (roomId, userId, minutes) => {
+  if (minutes === 0) {
+    await getSharedState().hdel(mutesKey(roomId), userId);
+    return null;
+  }
+
+  const until = Date.now() + minutes * 60 * 1000;
+  await getSharedState().hset(mutesKey(roomId), userId, until);
+  return until;
+};
+
+// Forget all live state of a room that was closed
+export const clearTopicRoom = async (roomId) => {
+  const state = getSharedState();
+  const socketIds = Object.keys(await roomSockets(roomId));
+  await Promise.all(socketIds.map(socketId => state.hdel(socketRoomsKey(socketId), roomId)));
+  await Promise.all([socketsKey, mutesKey, kicksKey]
+    .map(key => state.del(key(roomId))));
+};
+
+// Public summary of a room for listings
+export const toTopicRoomPayload = async (room) => {
+  const memberCount = await countMembers(room._id.toString());
+  return {
+    id: room._id,
+    name: room.name,
+    interest: room.interest,
+    description: room.description,
+    capacity: room.capacity,
+    memberCount,
+    isFull: memberCount >= room.capacity,
+    owner: room.owner?.username
+      ? { id: room.owner._id, username: room.owner.username }
+      : room.owner,
+    createdAt: room.createdAt
+  };
+};
+
+// A page of message history with the senders' current usernames
+export const getTopicMessages = async (roomId, { before, limit }) => {
+  const messages = await ChatRoom.messageHistory(roomId, { before, limit });
+  const senders = await User.find({ _id: { $in: messages.map(message => message.sender) } })
+    .select('username');
+  const usernames = new Map(senders.map(user => [user._id.toString(), user.username]));
+
+  return messages.map(message =>
+    messagePayload(message, usernames.get(message.sender.toString()) || null));
+};
@@ -0,0 +1,39 @@
+// Typing indicators. A socket counts as typing in a room until it says it
+// stopped, sends a message, or TYPING_TIMEOUT_MS passes without another
+// typing:start (clients repeat it while the user keeps typing). Sockets are
+// tracked by the instance they are connected to.
+
+const TYPING_TIMEOUT_MS = parseInt(process.env.TYPING_TIMEOUT_MS, 10) || 5000;
+
+// `onTimeout(socketId, roomId)` is called when a socket stops silently
+export const createTypingTracker = ({ timeoutMs = TYPING_TIMEOUT_MS, onTimeout }) => {
+  // socketId -> { roomId, timer }
+  const typing = new Map();
+
+  return {
+    // Start or keep typing. True if the socket was not yet typing in `roomId`.
+    start(socketId, roomId) {
+      const previous = typing.get(socketId);
+      if (previous) clearTimeout(previous.timer);
+
+      const timer = setTimeout(() => {
+        typing.delete(socketId);
+        onTimeout(socketId, roomId);
+      }, timeoutMs);
+      timer.unref();
+
+      typing.set(socketId, { roomId, timer });
+      return previous?.roomId !== roomId;
+    },
+
+    // The room the socket was typing in, or null if it was not typing
+    stop(socketId) {
+      const entry = typing.get(socketId);
+      if (!entry) return null;
+
+      clearTimeout(entry.timer);
+      typing.delete(socketId);
+      return entry.roomId;
+    }
+  };
+};
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { getSharedState } from './sharedState.js';
+
+// WebRTC support: validation of signaling payloads relayed between chat
+// partners, the per-room call state machine, and ICE server configuration
+// with TURN credentials.
+
+const MAX_SDP_LENGTH = parseInt(process.env.WEBRTC_MAX_SDP_LENGTH, 10) || 20000;
+const MAX_CANDIDATE_LENGTH = 1024;
+const MAX_FIELD_LENGTH = 256;
+
+const STUN_URLS = (process.env.STUN_URLS || 'stun:stun.l.google.com:19302')
+  .split(',').map(url => url.trim()).filter(Boolean);
+const TURN_URLS = (process.env.TURN_URLS || '')
+  .split(',').map(url => url.trim()).filter(Boolean);
+const TURN_CREDENTIAL_TTL_SECONDS = parseInt(process.env.TURN_CREDENTIAL_TTL_SECONDS, 10) || 3600;
+
+const CALLS_KEY = 'calls';
+
+export const CALL_STATES = ['idle', 'offering', 'connected', 'ended'];
+
+export const WEBRTC_ERROR_CODES = {
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  INVALID_CALL_STATE: 'INVALID_CALL_STATE'
+};
+
+const fail = (code, message) => ({ error: { code, message } });
+
+const isShortString = (value, max = MAX_FIELD_LENGTH) =>
+  typeof value === 'string' && value.length <= max;
+const isOptional = (value, check) => value === undefined || value === null || check(value);
+
+// Validate a signaling payload and keep only the fields peers need.
+// `kind` is 'offer', 'answer' or 'ice-candidate'. Resolves to { signal } or
+// { error }.
+export const checkSignal = (kind, data) => {
+  if (kind === 'offer' || kind === 'answer') {
+    const description = data?.[kind];
+    if (!description || description.type !== kind
+      || !isShortString(description.sdp, MAX_SDP_LENGTH) || !description.sdp) {
+      return fail(
+        WEBRTC_ERROR_CODES.INVALID_PAYLOAD,
+        `${kind} must be a session description of type ${kind} with an sdp of up to ${MAX_SDP_LENGTH} characters`
+      );
+    }
+    return { signal: { type: description.type, sdp: description.sdp } };
+  }
+
+  // An empty candidate string signals the end of candidates
+  const candidate = data?.candidate;
+  if (!candidate || !isShortString(candidate.candidate, MAX_CANDIDATE_LENGTH)
+    || !isOptional(candidate.sdpMid, isShortString)
+    || !isOptional(candidate.sdpMLineIndex, value => Number.isInteger(value) && value >= 0)
+    || !isOptional(candidate.usernameFragment, isShortString)) {
+    return fail(WEBRTC_ERROR_CODES.INVALID_PAYLOAD, 'Invalid ICE candidate');
+  }
+
+  return {
+    signal: {
+      candidate: candidate.candidate,
+      sdpMid: candidate.sdpMid ?? null,
+      sdpMLineIndex: candidate.sdpMLineIndex ?? null,
+      usernameFragment: candidate.usernameFragment ?? null
+    }
+  };
+};
+
+// Which events are allowed in which call state, and where they lead. While
+// a call is being set up only the caller may offer and only the other side
+// may answer; once connected either side may renegotiate (e.g. after
+// resuming a dropped chat).
+const CALL_EVENTS = {
+  start: { from: ['idle', 'ended'], to: 'offering' },
+  offer: { from: ['offering', 'connected'], by: { offering: 'caller' } },
+  answer: { from: ['offering', 'connected'], by: { offering: 'callee' }, to: 'connected' },
+  'ice-candidate': { from: ['offering', 'connected'] },
+  end: { from: ['offering', 'connected'], to: 'ended' }
+};
+
+export const getCall = async (roomId) =>
+  await getSharedState().hget(CALLS_KEY, roomId) || { state: 'idle', callerId: null };
+
+// Apply `event` by member `userId` to the room's call. Resolves to
+// { call, changed } or { error } if the event is not allowed right now.
+export const applyCallEvent = async (roomId, userId, event) => {
+  const rule = CALL_EVENTS[event];
+  const call = await getCall(roomId);
+
+  if (!rule.from.includes(call.state)) {
+    return fail(WEBRTC_ERROR_CODES.INVALID_CALL_STATE, `Cannot ${event} while the call is ${call.state}`);
+  }
+
+  const role = rule.by?.[call.state];
+  if (role && (call.callerId === userId) !== (role === 'caller')) {
+    return fail(WEBRTC_ERROR_CODES.INVALID_CALL_STATE, `Only the ${role} can ${event} now`);
+  }
+
+  if (!rule.to || rule.to === call.state) return { call, changed: false };
+
+  const next = {
+    state: rule.to,
+    callerId: event === 'start' ? userId : call.callerId,
+    updatedAt: Date.now()
+  };
+  await getSharedState().hset(CALLS_KEY, roomId, next);
+  return { call: next, changed: true };
+};
+
+export const clearCall = (roomId) => getSharedState().hdel(CALLS_KEY, roomId);
+
+// Time-limited TURN credentials in the coturn REST API format: the username
+// carries the expiry and the password is an HMAC of it with the secret
+// shared with the TURN server (its static-auth-secret).
+export const createTurnCredentials = (userId, {
+  secret = process.env.TURN_SECRET,
+  ttlSeconds = TURN_CREDENTIAL_TTL_SECONDS,
+  now = Date.now()
+} = {}) => {
+  const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+
+  return { username, credential, expiresAt };
+};
+
+// RTCPeerConnection iceServers for a user. TURN is only offered when both
+// TURN_URLS and TURN_SECRET are configured.
+export const getIceServers = (userId) => {
+  const iceServers = [];
+  if (STUN_URLS.length > 0) iceServers.push({ urls: STUN_URLS });
+
+  if (TURN_URLS.length === 0 || !process.env.TURN_SECRET) {
+    return { iceServers, ttl: null };
+  }
+
+  const { username, credential } = createTurnCredentials(userId);
+  iceServers.push({ urls: TURN_URLS, username, credential });
+  return { iceServers, ttl: TURN_CREDENTIAL_TTL_SECONDS };
+};
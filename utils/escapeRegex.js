@@ -0,0 +1,2 @@
+// Match `text` literally inside a RegExp
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,4 @@
+import crypto from 'crypto';
+
+// Secret tokens are only stored as this hash
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
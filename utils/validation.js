@@ -0,0 +1,15 @@
+import { validationResult } from 'express-validator';
+
+// Answer 400 with the express-validator errors, if any. Resolves to true
+// when the response has been sent.
+export const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};